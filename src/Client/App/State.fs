@@ -103,9 +103,9 @@ let private initializePage (page: Page) (model: Model) : Model * Cmd<Msg> =
         // Always refresh generic import page when navigating to it
         let pageModel, pageCmd = Pages.GenericImport.State.init ()
         { model' with GenericImportPage = Some pageModel }, Cmd.map GenericImportMsg pageCmd
-    | GraphPage focus ->
+    | GraphPage (focus, view) ->
         // Always refresh graph when navigating to the page
-        let pageModel, pageCmd = Pages.Graph.State.initWithFocus focus
+        let pageModel, pageCmd = Pages.Graph.State.initWithFocus focus view
         { model' with GraphPage = Some pageModel }, Cmd.map GraphMsg pageCmd
     | StyleguidePage ->
         let pageModel, pageCmd = Pages.Styleguide.State.init ()
@@ -185,7 +185,12 @@ let update (msg: Msg) (model: Model) : Model * Cmd<Msg> =
 
     // URL changed (from browser back/forward) - don't push URL
     | UrlChanged page ->
-        initializePage page model
+        match model.CurrentPage, page, model.GraphPage with
+        | GraphPage (currentFocus, _), GraphPage (focus, view), Some _ when focus = currentFocus ->
+            // Only the graph view changed - restore it without reloading the graph
+            { model with CurrentPage = page }, Cmd.ofMsg (GraphMsg (Pages.Graph.Types.RestoreViewState view))
+        | _ ->
+            initializePage page model
 
     // Global data loading
     | LoadFriends ->
@@ -640,7 +645,7 @@ let update (msg: Msg) (model: Model) : Model * Cmd<Msg> =
                 let slug = Slug.forSeries name firstAirDate
                 model', Cmd.batch [cmd; Cmd.ofMsg (NavigateTo (SeriesDetailPage slug))]
             | Pages.FriendDetail.Types.NavigateToGraphWithFocus friendId ->
-                model', Cmd.batch [cmd; Cmd.ofMsg (NavigateTo (GraphPage (Some (FocusedFriend friendId))))]
+                model', Cmd.batch [cmd; Cmd.ofMsg (NavigateTo (GraphPage (Some (FocusedFriend friendId), None)))]
             | Pages.FriendDetail.Types.RequestOpenProfileImageModal friend ->
                 model', Cmd.batch [cmd; Cmd.ofMsg (OpenProfileImageModal friend)]
             | Pages.FriendDetail.Types.FriendUpdated friend ->
@@ -734,7 +739,7 @@ let update (msg: Msg) (model: Model) : Model * Cmd<Msg> =
                 let slug = Slug.forSeries seriesName firstAirDate
                 model', Cmd.batch [cmd; Cmd.ofMsg (NavigateTo (SeriesDetailPage slug))]
             | Pages.CollectionDetail.Types.NavigateToGraphWithFocus collectionId ->
-                model', Cmd.batch [cmd; Cmd.ofMsg (NavigateTo (GraphPage (Some (FocusedCollection collectionId))))]
+                model', Cmd.batch [cmd; Cmd.ofMsg (NavigateTo (GraphPage (Some (FocusedCollection collectionId), None)))]
             | Pages.CollectionDetail.Types.ShowNotification (msg, isSuccess) ->
                 if isSuccess then model', cmd
                 else model', Cmd.batch [cmd; Cmd.ofMsg (ShowNotification (msg, false))]
@@ -787,7 +792,7 @@ let update (msg: Msg) (model: Model) : Model * Cmd<Msg> =
                 let slug = Slug.forCollection name
                 model', Cmd.batch [cmd; Cmd.ofMsg (NavigateTo (CollectionDetailPage slug))]
             | Pages.MovieDetail.Types.NavigateToGraphWithFocus entryId ->
-                model', Cmd.batch [cmd; Cmd.ofMsg (NavigateTo (GraphPage (Some (FocusedMovie entryId))))]
+                model', Cmd.batch [cmd; Cmd.ofMsg (NavigateTo (GraphPage (Some (FocusedMovie entryId), None)))]
             | Pages.MovieDetail.Types.RequestOpenAbandonModal entryId -> model', Cmd.batch [cmd; Cmd.ofMsg (OpenAbandonModal entryId)]
             | Pages.MovieDetail.Types.RequestOpenDeleteModal entryId -> model', Cmd.batch [cmd; Cmd.ofMsg (OpenConfirmDeleteModal (Components.ConfirmModal.Types.Entry entryId))]
             | Pages.MovieDetail.Types.RequestOpenAddToCollectionModal (entryId, title) -> model', Cmd.batch [cmd; Cmd.ofMsg (OpenAddToCollectionModal (entryId, title))]
@@ -867,7 +872,7 @@ let update (msg: Msg) (model: Model) : Model * Cmd<Msg> =
                 let slug = Slug.forCollection name
                 model', Cmd.batch [cmd; Cmd.ofMsg (NavigateTo (CollectionDetailPage slug))]
             | Pages.SeriesDetail.Types.NavigateToGraphWithFocus entryId ->
-                model', Cmd.batch [cmd; Cmd.ofMsg (NavigateTo (GraphPage (Some (FocusedSeries entryId))))]
+                model', Cmd.batch [cmd; Cmd.ofMsg (NavigateTo (GraphPage (Some (FocusedSeries entryId), None)))]
             | Pages.SeriesDetail.Types.RequestOpenDeleteModal entryId -> model', Cmd.batch [cmd; Cmd.ofMsg (OpenConfirmDeleteModal (Components.ConfirmModal.Types.Entry entryId))]
             | Pages.SeriesDetail.Types.RequestOpenAddToCollectionModal (entryId, title) -> model', Cmd.batch [cmd; Cmd.ofMsg (OpenAddToCollectionModal (entryId, title))]
             | Pages.SeriesDetail.Types.RequestOpenNewSessionModal entryId -> model', Cmd.batch [cmd; Cmd.ofMsg (OpenWatchSessionModal entryId)]
@@ -1024,7 +1029,7 @@ let update (msg: Msg) (model: Model) : Model * Cmd<Msg> =
                 let slug = Slug.forSeries name firstAirDate
                 model', Cmd.batch [cmd; Cmd.ofMsg (NavigateTo (SeriesDetailPage slug))]
             | Pages.ContributorDetail.Types.NavigateToGraphWithFocus contributorId ->
-                model', Cmd.batch [cmd; Cmd.ofMsg (NavigateTo (GraphPage (Some (FocusedContributor contributorId))))]
+                model', Cmd.batch [cmd; Cmd.ofMsg (NavigateTo (GraphPage (Some (FocusedContributor contributorId), None)))]
             | Pages.ContributorDetail.Types.ShowNotification (msg, isSuccess) ->
                 model', Cmd.batch [cmd; Cmd.ofMsg (ShowNotification (msg, isSuccess))]
         | None -> model, Cmd.none
@@ -1178,6 +1183,19 @@ let update (msg: Msg) (model: Model) : Model * Cmd<Msg> =
             | Pages.Graph.Types.NavigateToCollection (_, name) ->
                 let slug = Slug.forCollection name
                 model', Cmd.batch [cmd; Cmd.ofMsg (NavigateTo (CollectionDetailPage slug))]
+            | Pages.Graph.Types.FocusChanged focus ->
+                // A new focus is its own history entry, starting from a fresh view
+                let page = GraphPage (focus, None)
+                Router.pushUrl (Page.toUrl page)
+                { model' with CurrentPage = page }, cmd
+            | Pages.Graph.Types.UpdateViewUrl (view, push) ->
+                // Camera moves become history entries, other view changes update the current one
+                match model'.CurrentPage with
+                | GraphPage (focus, _) ->
+                    let page = GraphPage (focus, Some view)
+                    if push then Router.pushUrl (Page.toUrl page) else Router.replaceUrl (Page.toUrl page)
+                    { model' with CurrentPage = page }, cmd
+                | _ -> model', cmd
         | None -> model, Cmd.none
 
     // Page messages - Styleguide
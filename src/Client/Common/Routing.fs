@@ -25,7 +25,7 @@ type Page =
     | StatsPage
     | YearInReviewPage of year: int option * viewMode: YearInReviewViewMode  // Optional year, defaults to current year
     | TimelinePage
-    | GraphPage of focus: FocusedGraphNode option
+    | GraphPage of focus: FocusedGraphNode option * view: string option  // Optional encoded view state (zoom, selection, filters, pins)
     | ImportPage
     | GenericImportPage
     | CachePage
@@ -44,6 +44,14 @@ module Page =
         else
             None
 
+    /// Value of a query string parameter (e.g., "view" in "view=t0_0_1&x=2")
+    let private queryParam (name: string) (query: string) : string option =
+        query.Split('&')
+        |> Array.tryPick (fun pair ->
+            match pair.Split([| '=' |], 2) with
+            | [| key; value |] when key = name && value <> "" -> Some (Uri.UnescapeDataString value)
+            | _ -> None)
+
     /// Generate URL from page - uses semantic slugs
     let toUrl = function
         | HomePage -> "/"
@@ -64,23 +72,32 @@ module Page =
         | YearInReviewPage (Some year, SeriesOnly) -> $"/year-in-review/{year}/series"
         | YearInReviewPage (None, _) -> "/year-in-review"
         | TimelinePage -> "/timeline"
-        | GraphPage None -> "/graph"
-        | GraphPage (Some focus) ->
-            match focus with
-            | FocusedMovie (EntryId id) -> $"/graph/movie/{id}"
-            | FocusedSeries (EntryId id) -> $"/graph/series/{id}"
-            | FocusedFriend (FriendId id) -> $"/graph/friend/{id}"
-            | FocusedContributor (ContributorId id) -> $"/graph/contributor/{id}"
-            | FocusedCollection (CollectionId id) -> $"/graph/collection/{id}"
+        | GraphPage (focus, view) ->
+            let path =
+                match focus with
+                | None -> "/graph"
+                | Some (FocusedMovie (EntryId id)) -> $"/graph/movie/{id}"
+                | Some (FocusedSeries (EntryId id)) -> $"/graph/series/{id}"
+                | Some (FocusedFriend (FriendId id)) -> $"/graph/friend/{id}"
+                | Some (FocusedContributor (ContributorId id)) -> $"/graph/contributor/{id}"
+                | Some (FocusedCollection (CollectionId id)) -> $"/graph/collection/{id}"
+            match view with
+            | Some view -> $"{path}?view={Uri.EscapeDataString view}"
+            | None -> path
         | ImportPage -> "/import"
         | GenericImportPage -> "/import-json"
         | CachePage -> "/cache"
         | StyleguidePage -> "/styleguide"
         | NotFoundPage -> "/404"
 
-    /// Parse URL path to Page
-    let fromUrl (path: string) : Page =
+    /// Parse URL path (with an optional query string) to Page
+    let fromUrl (url: string) : Page =
+        let path, query =
+            match url.IndexOf('?') with
+            | -1 -> url, ""
+            | index -> url.Substring(0, index), url.Substring(index + 1)
         let path = path.TrimEnd('/')
+        let view = queryParam "view" query
         let segments = path.Split('/') |> Array.filter (fun s -> s <> "") |> Array.toList
 
         match segments with
@@ -115,26 +132,26 @@ module Page =
             | true, year -> YearInReviewPage (Some year, SeriesOnly)
             | _ -> NotFoundPage
         | ["timeline"] -> TimelinePage
-        | ["graph"] -> GraphPage None
+        | ["graph"] -> GraphPage (None, view)
         | ["graph"; "movie"; idStr] ->
             match Int32.TryParse idStr with
-            | true, id -> GraphPage (Some (FocusedMovie (EntryId id)))
+            | true, id -> GraphPage (Some (FocusedMovie (EntryId id)), view)
             | _ -> NotFoundPage
         | ["graph"; "series"; idStr] ->
             match Int32.TryParse idStr with
-            | true, id -> GraphPage (Some (FocusedSeries (EntryId id)))
+            | true, id -> GraphPage (Some (FocusedSeries (EntryId id)), view)
             | _ -> NotFoundPage
         | ["graph"; "friend"; idStr] ->
             match Int32.TryParse idStr with
-            | true, id -> GraphPage (Some (FocusedFriend (FriendId id)))
+            | true, id -> GraphPage (Some (FocusedFriend (FriendId id)), view)
             | _ -> NotFoundPage
         | ["graph"; "contributor"; idStr] ->
             match Int32.TryParse idStr with
-            | true, id -> GraphPage (Some (FocusedContributor (ContributorId id)))
+            | true, id -> GraphPage (Some (FocusedContributor (ContributorId id)), view)
             | _ -> NotFoundPage
         | ["graph"; "collection"; idStr] ->
             match Int32.TryParse idStr with
-            | true, id -> GraphPage (Some (FocusedCollection (CollectionId id)))
+            | true, id -> GraphPage (Some (FocusedCollection (CollectionId id)), view)
             | _ -> NotFoundPage
         | ["import"] -> ImportPage
         | ["import-json"] -> GenericImportPage
@@ -174,6 +191,10 @@ module Router =
     let getCurrentPath () =
         window.location.pathname
 
+    /// Get current URL query string, including the leading '?' (empty without a query)
+    let getCurrentQuery () =
+        window.location.search
+
     /// Push a new URL to browser history
     let pushUrl (url: string) =
         window.history.pushState(null, "", url)
@@ -190,7 +211,7 @@ module Router =
 
     /// Parse current URL and return the page
     let parseCurrentUrl () =
-        getCurrentPath () |> Page.fromUrl
+        getCurrentPath () + getCurrentQuery () |> Page.fromUrl
 
     /// Set up popstate event listener for back/forward navigation
     let onUrlChange (callback: Page -> unit) =
@@ -50,9 +50,15 @@ let private getIconColor (page: Page) =
     | CachePage -> "text-nav-cache"         // Slate - system
     | NotFoundPage -> "text-error"
 
+/// Whether a navigation target is the current page; the graph stays current while only its view state changes
+let private isCurrentPage (page: Page) (currentPage: Page) =
+    match page, currentPage with
+    | GraphPage (focus, _), GraphPage (currentFocus, _) -> focus = currentFocus
+    | _ -> page = currentPage
+
 /// Navigation item component
 let private navItem (page: Page) (currentPage: Page) (onNavigate: Page -> unit) (isExpanded: bool) =
-    let isActive = page = currentPage
+    let isActive = isCurrentPage page currentPage
     let iconColor = getIconColor page
     Html.li [
         Html.a [
@@ -185,7 +191,7 @@ let sidebar (model: Model) (currentPage: Page) (onNavigate: Page -> unit) (onSea
                             navItem StatsPage currentPage onNavigate isExpanded
                             navItem (YearInReviewPage (None, YearInReviewViewMode.Overview)) currentPage onNavigate isExpanded
                             navItem TimelinePage currentPage onNavigate isExpanded
-                            navItem (GraphPage None) currentPage onNavigate isExpanded
+                            navItem (GraphPage (None, None)) currentPage onNavigate isExpanded
 
                             // Divider
                             Html.li [
@@ -407,13 +413,13 @@ let mobileMenuDrawer (model: Model) (currentPage: Page) (onNavigate: Page -> uni
                                         Html.li [ prop.className "my-3 border-t border-base-300" ]
 
                                         // Secondary navigation
-                                        for page in [ StatsPage; YearInReviewPage (None, YearInReviewViewMode.Overview); TimelinePage; GraphPage None ] do
+                                        for page in [ StatsPage; YearInReviewPage (None, YearInReviewViewMode.Overview); TimelinePage; GraphPage (None, None) ] do
                                             let iconColor = getIconColor page
                                             Html.li [
                                                 Html.button [
                                                     prop.className (
                                                         "flex items-center gap-3 w-full px-4 py-3 rounded-xl transition-all " +
-                                                        if currentPage = page then "bg-base-200" else "text-base-content/70 hover:bg-base-200"
+                                                        if isCurrentPage page currentPage then "bg-base-200" else "text-base-content/70 hover:bg-base-200"
                                                     )
                                                     prop.onClick (fun _ ->
                                                         dispatch CloseMobileMenu
@@ -23,11 +23,11 @@ let private debounce (delayMs: int) (msg: Msg) : Cmd<Msg> =
 let init () : Model * Cmd<Msg> =
     Model.empty, Cmd.ofMsg LoadGraph
 
-/// Initialize graph with optional focus on a specific node
-let initWithFocus (focus: FocusedGraphNode option) : Model * Cmd<Msg> =
+/// Initialize graph with optional focus on a specific node and an optional view state to restore
+let initWithFocus (focus: FocusedGraphNode option) (view: string option) : Model * Cmd<Msg> =
     match focus with
     | None ->
-        Model.empty, Cmd.ofMsg LoadGraph
+        { Model.empty with ViewState = view }, Cmd.ofMsg LoadGraph
     | Some focusedNode ->
         // Create filter with focused node
         let focusFilter = { Model.defaultFilter with FocusedNode = Some focusedNode }
@@ -57,6 +57,7 @@ let initWithFocus (focus: FocusedGraphNode option) : Model * Cmd<Msg> =
                 Filter = focusFilter
                 SelectedNode = selectedNode
                 FocusedNodeId = focusedNodeId
+                ViewState = view
         }
         model, Cmd.ofMsg LoadGraph
 
@@ -143,7 +144,8 @@ let update (api: GraphApi) (msg: Msg) (model: Model) : Model * Cmd<Msg> * Extern
                 Filter = focusFilter
                 SelectedNode = node
                 IsRefreshing = true
-                FocusedNodeId = nodeId }, cmd, NoOp
+                FocusedNodeId = nodeId
+                ViewState = None }, cmd, FocusChanged (Some focused)
         | None ->
             model, Cmd.none, NoOp
 
@@ -159,7 +161,8 @@ let update (api: GraphApi) (msg: Msg) (model: Model) : Model * Cmd<Msg> * Extern
         { model with
             Filter = clearedFilter
             IsRefreshing = true
-            FocusedNodeId = None }, cmd, NoOp
+            FocusedNodeId = None
+            ViewState = None }, cmd, FocusChanged None
 
     | DeselectNode ->
         { model with SelectedNode = NoSelection }, Cmd.none, NoOp
@@ -184,3 +187,9 @@ let update (api: GraphApi) (msg: Msg) (model: Model) : Model * Cmd<Msg> * Extern
 
     | ViewCollection (collectionId, name) ->
         model, Cmd.none, NavigateToCollection (collectionId, name)
+
+    | ViewStateChanged (view, push) ->
+        { model with ViewState = Some view }, Cmd.none, UpdateViewUrl (view, push)
+
+    | RestoreViewState view ->
+        { model with ViewState = view }, Cmd.none, NoOp
@@ -26,6 +26,7 @@ type Model = {
     Zoom: float
     IsRefreshing: bool  // True when graph is being refreshed (but we keep showing old data)
     FocusedNodeId: string option  // Node ID to center view on after graph loads
+    ViewState: string option  // Encoded view state (zoom, selection, filters, pins) to restore, from the URL
 }
 
 type Msg =
@@ -45,6 +46,8 @@ type Msg =
     | ViewFriendDetail of friendId: FriendId * name: string
     | ViewContributor of contributorId: ContributorId * name: string
     | ViewCollection of collectionId: CollectionId * name: string
+    | ViewStateChanged of view: string * push: bool  // Reported by the graph; push marks a history step
+    | RestoreViewState of view: string option  // Browser back/forward within the graph
 
 type ExternalMsg =
     | NoOp
@@ -53,6 +56,8 @@ type ExternalMsg =
     | NavigateToFriendDetail of friendId: FriendId * name: string
     | NavigateToContributor of contributorId: ContributorId * name: string
     | NavigateToCollection of collectionId: CollectionId * name: string
+    | FocusChanged of focus: FocusedGraphNode option
+    | UpdateViewUrl of view: string * push: bool
 
 module Model =
     let defaultFilter = {
@@ -69,4 +74,5 @@ module Model =
         Zoom = 1.0
         IsRefreshing = false
         FocusedNodeId = None
+        ViewState = None
     }
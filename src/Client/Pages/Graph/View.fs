@@ -13,8 +13,8 @@ module GlassButton = Common.Components.GlassButton.View
 
 // Import the forceGraph JavaScript module using Emit for correct JS interop
 module private ForceGraph =
-    [<Emit("import('../../forceGraph.js').then(m => m.initializeGraph($0, $1, $2, $3))")>]
-    let initializeGraph (containerId: string) (graphData: obj) (onSelect: obj -> unit) (onFocus: obj -> unit) : JS.Promise<unit> = jsNative
+    [<Emit("import('../../forceGraph.js').then(m => m.initializeGraph($0, $1, $2, $3, $4))")>]
+    let initializeGraph (containerId: string) (graphData: obj) (onSelect: obj -> unit) (onFocus: obj -> unit) (options: obj) : JS.Promise<unit> = jsNative
 
     [<Emit("import('../../forceGraph.js').then(m => m.destroyGraph($0))")>]
     let destroyGraph (containerId: string) : JS.Promise<unit> = jsNative
@@ -25,9 +25,13 @@ module private ForceGraph =
     [<Emit("import('../../forceGraph.js').then(m => m.resetZoom())")>]
     let resetZoom () : JS.Promise<unit> = jsNative
 
-    [<Emit("import('../../forceGraph.js').then(m => m.focusOnNode($0))")>]
+    // Centering on the focused node is part of loading it, not a step of its own in the view history
+    [<Emit("import('../../forceGraph.js').then(m => m.focusOnNode($0, { record: false }))")>]
     let focusOnNode (nodeId: string) : JS.Promise<unit> = jsNative
 
+    [<Emit("import('../../forceGraph.js').then(m => m.restoreViewState($0))")>]
+    let restoreViewState (viewState: obj) : JS.Promise<unit> = jsNative
+
 // =====================================
 // Helper Functions
 // =====================================
@@ -238,8 +242,9 @@ let private parseNodeSelection (jsNode: obj) : SelectedNode =
 
 /// Graph visualization React component
 [<ReactComponent>]
-let private GraphVisualization (graph: RelationshipGraph) (focusedNodeId: string option) (dispatch: Msg -> unit) =
+let private GraphVisualization (graph: RelationshipGraph) (focusedNodeId: string option) (viewState: string option) (dispatch: Msg -> unit) =
     let containerId = "force-graph-container"
+    let isFirstRender = React.useRef true
 
     React.useEffect(fun () ->
         let jsGraph = toJsGraph graph
@@ -252,7 +257,21 @@ let private GraphVisualization (graph: RelationshipGraph) (focusedNodeId: string
             let selection = parseNodeSelection jsNode
             dispatch (FocusOnNode selection)
 
-        ForceGraph.initializeGraph containerId jsGraph onSelect onFocus |> ignore
+        // Zoom, selection, filter and pin changes are reported so the URL can share and replay them
+        let onViewStateChange =
+            System.Func<string, obj, unit>(fun view change ->
+                dispatch (ViewStateChanged (view, unbox<bool> change?push)))
+
+        // A focused neighborhood is laid out in rings around the focused node
+        let options =
+            createObj [
+                "layoutMode" ==> (if focusedNodeId.IsSome then "radial" else "force")
+                "focusNodeId" ==> optionToJs focusedNodeId
+                "viewState" ==> optionToJs viewState
+                "onViewStateChange" ==> onViewStateChange
+            ]
+
+        ForceGraph.initializeGraph containerId jsGraph onSelect onFocus options |> ignore
 
         // Cleanup on unmount
         React.createDisposable(fun () ->
@@ -260,15 +279,24 @@ let private GraphVisualization (graph: RelationshipGraph) (focusedNodeId: string
         )
     , [| box graph |])
 
-    // Center on focused node when it changes
+    // Restore the view on browser back/forward; the first render restores it through initializeGraph,
+    // and states the graph reported itself are ignored by forceGraph.js
+    React.useEffect(fun () ->
+        if isFirstRender.current then
+            isFirstRender.current <- false
+        else
+            ForceGraph.restoreViewState (optionToJs viewState) |> ignore
+    , [| box viewState |])
+
+    // Center on focused node when it changes, unless a saved view places the camera
     React.useEffect(fun () ->
-        match focusedNodeId with
-        | Some nodeId ->
+        match focusedNodeId, viewState with
+        | Some nodeId, None ->
             // Small delay to let the graph settle before centering
             Browser.Dom.window.setTimeout((fun () ->
                 ForceGraph.focusOnNode nodeId |> ignore
             ), 500) |> ignore
-        | None -> ()
+        | _ -> ()
     , [| box focusedNodeId |])
 
     Html.div [
@@ -440,7 +468,7 @@ let view (model: Model) (dispatch: Msg -> unit) =
                 // Graph visualization fills entire area
                 Html.div [
                     prop.className "absolute inset-0"
-                    prop.children [ GraphVisualization graph model.FocusedNodeId dispatch ]
+                    prop.children [ GraphVisualization graph model.FocusedNodeId model.ViewState dispatch ]
                 ]
 
             // Floating overlays on top of graph (always rendered)
@@ -1,14 +1,31 @@
 // Ambient Color Extraction for Projector Backdrop
-// Samples colors from visible poster images and updates the projector beam color
+// Samples colors from visible poster images, extracts a palette with median cut and updates the projector colors
 
-let currentColor = { r: 255, g: 180, b: 100 }; // Default warm amber
-let targetColor = { r: 255, g: 180, b: 100 };
+const defaultColor = { r: 255, g: 180, b: 100 }; // Default warm amber
+
+// Palette swatches, each published as --projector-<role>-r/g/b next to the projector color itself:
+// dominant covers most of the image, vibrant is its liveliest color, muted a calm one and dark a deep shade
+const swatchRoles = ['dominant', 'vibrant', 'muted', 'dark'];
+
+// Number of color boxes median cut splits the sampled pixels into
+const PALETTE_SIZE = 8;
+
+// Boxes whose channels all vary by less than this are one color already and are not split further
+const MIN_BOX_RANGE = 16;
+
+// Box averages closer than this (Euclidean RGB distance) are counted as one color
+const SAME_COLOR_DISTANCE = 32;
+
+let currentPalette = paletteFromColor(defaultColor);
+let targetPalette = currentPalette;
 let animationFrame = null;
 
 /**
- * Extract the dominant color from an image using canvas sampling
+ * Sample the pixels of an image using canvas sampling, as [r, g, b] triples
  */
-function extractColorFromImage(img) {
+function samplePixels(img) {
+    const samples = [];
+
     try {
         // Create a small canvas for sampling (performance optimization)
         const canvas = document.createElement('canvas');
@@ -26,10 +43,6 @@ function extractColorFromImage(img) {
         const imageData = ctx.getImageData(0, 0, sampleSize, sampleSize);
         const pixels = imageData.data;
 
-        let r = 0, g = 0, b = 0;
-        let count = 0;
-
-        // Sample pixels, skipping very dark and very light ones
         for (let i = 0; i < pixels.length; i += 16) { // Sample every 4th pixel
             const pr = pixels[i];
             const pg = pixels[i + 1];
@@ -39,44 +52,202 @@ function extractColorFromImage(img) {
             // Skip transparent pixels
             if (pa < 128) continue;
 
-            // Calculate luminance
+            // Skip near-black and near-white pixels (letterboxing, borders, text); dark shades stay for the dark swatch
             const luminance = (pr * 0.299 + pg * 0.587 + pb * 0.114);
+            if (luminance < 15 || luminance > 240) continue;
 
-            // Skip very dark (< 30) and very light (> 225) pixels
-            if (luminance < 30 || luminance > 225) continue;
+            samples.push([pr, pg, pb]);
+        }
+    } catch (e) {
+        // Canvas may fail for cross-origin images without CORS
+        console.debug('Could not extract color from image:', e.message);
+    }
 
-            // Weight by saturation - more saturated colors are more interesting
-            const max = Math.max(pr, pg, pb);
-            const min = Math.min(pr, pg, pb);
-            const saturation = max === 0 ? 0 : (max - min) / max;
-            const weight = 0.5 + saturation * 0.5;
+    return samples;
+}
 
-            r += pr * weight;
-            g += pg * weight;
-            b += pb * weight;
-            count += weight;
+/**
+ * Split pixels into up to maxColors boxes with median cut: the box with the widest channel range
+ * (weighted by its pixel count) is repeatedly split at the median of that channel, until every box
+ * holds a single color.
+ * Returns the boxes' average colors with the share of pixels each covers, largest first. Median cut
+ * splits at the median, so box sizes are about equal halves rather than how common a color is:
+ * nearly equal averages are merged and every pixel is counted for the average nearest to it.
+ */
+function medianCut(pixels, maxColors = PALETTE_SIZE) {
+    if (pixels.length === 0) return [];
+
+    const boxes = [pixels];
+    while (boxes.length < maxColors) {
+        let best = null;
+        boxes.forEach((box, index) => {
+            const { channel, range } = widestChannel(box);
+            const score = range * box.length;
+            if (box.length > 1 && range >= MIN_BOX_RANGE && (!best || score > best.score)) {
+                best = { index, channel, score };
+            }
+        });
+        if (!best) break;
+
+        const sorted = boxes[best.index].slice().sort((a, b) => a[best.channel] - b[best.channel]);
+        const middle = Math.floor(sorted.length / 2);
+        boxes.splice(best.index, 1, sorted.slice(0, middle), sorted.slice(middle));
+    }
+
+    const colors = mergeSimilarColors(boxes.map(box => ({ ...averageColor(box), weight: box.length })));
+    const counts = colors.map(() => 0);
+    pixels.forEach(pixel => counts[nearestColor(colors, pixel)]++);
+
+    return colors
+        .map(({ r, g, b }, i) => ({ r, g, b, population: counts[i] / pixels.length }))
+        .filter(color => color.population > 0)
+        .sort((a, b) => b.population - a.population);
+}
+
+/**
+ * Merge colors within SAME_COLOR_DISTANCE of each other into their weighted average
+ */
+function mergeSimilarColors(colors) {
+    const merged = [];
+    colors.forEach(color => {
+        const same = merged.find(other => colorDistance(other, [color.r, color.g, color.b]) < SAME_COLOR_DISTANCE);
+        if (!same) {
+            merged.push({ ...color });
+            return;
         }
+        const weight = same.weight + color.weight;
+        ['r', 'g', 'b'].forEach(channel => {
+            same[channel] = Math.round((same[channel] * same.weight + color[channel] * color.weight) / weight);
+        });
+        same.weight = weight;
+    });
+    return merged;
+}
+
+/**
+ * Index of the color nearest to an [r, g, b] pixel
+ */
+function nearestColor(colors, pixel) {
+    let nearest = 0;
+    colors.forEach((color, i) => {
+        if (colorDistance(color, pixel) < colorDistance(colors[nearest], pixel)) nearest = i;
+    });
+    return nearest;
+}
 
-        if (count > 0) {
-            return {
-                r: Math.round(r / count),
-                g: Math.round(g / count),
-                b: Math.round(b / count)
-            };
+/**
+ * Euclidean distance between a color and an [r, g, b] pixel
+ */
+function colorDistance(color, [r, g, b]) {
+    return Math.hypot(color.r - r, color.g - g, color.b - b);
+}
+
+/**
+ * The color channel (0, 1, 2 for r, g, b) with the widest range in a box of pixels
+ */
+function widestChannel(box) {
+    let widest = { channel: 0, range: -1 };
+    for (let channel = 0; channel < 3; channel++) {
+        let min = 255, max = 0;
+        for (const pixel of box) {
+            min = Math.min(min, pixel[channel]);
+            max = Math.max(max, pixel[channel]);
+        }
+        if (max - min > widest.range) {
+            widest = { channel, range: max - min };
         }
-    } catch (e) {
-        // Canvas may fail for cross-origin images without CORS
-        console.debug('Could not extract color from image:', e.message);
     }
+    return widest;
+}
 
-    return null;
+/**
+ * Average color of a box of pixels
+ */
+function averageColor(box) {
+    const sum = box.reduce((acc, [r, g, b]) => [acc[0] + r, acc[1] + g, acc[2] + b], [0, 0, 0]);
+    return {
+        r: Math.round(sum[0] / box.length),
+        g: Math.round(sum[1] / box.length),
+        b: Math.round(sum[2] / box.length)
+    };
+}
+
+/**
+ * Extract the palette of a set of pixels: dominant, vibrant, muted and dark swatches plus the projector color.
+ * Swatches no box qualifies for are derived from the dominant color. Returns null without pixels.
+ */
+export function paletteFromPixels(pixels) {
+    const swatches = medianCut(pixels).map(swatch => ({ ...swatch, hsl: rgbToHsl(swatch) }));
+    if (swatches.length === 0) return null;
+
+    // The best scoring swatch among those that qualify for a role, or null
+    const pick = (qualifies, score) => swatches
+        .filter(swatch => qualifies(swatch.hsl))
+        .reduce((best, swatch) => (!best || score(swatch) > score(best) ? swatch : best), null);
+
+    const dominant = swatches[0];
+    const vibrant = pick(
+        ({ s, l }) => s >= 0.35 && l >= 0.3 && l <= 0.8,
+        ({ hsl, population }) => hsl.s * (1 - Math.abs(hsl.l - 0.55)) * Math.sqrt(population));
+    const muted = pick(
+        ({ s, l }) => s < 0.35 && l >= 0.25 && l <= 0.75,
+        ({ population }) => population);
+    const dark = pick(
+        ({ l }) => l < 0.3,
+        ({ hsl, population }) => population * (0.5 + hsl.s));
+
+    const derived = paletteFromColor(dominant);
+    const rgb = swatch => swatch && { r: swatch.r, g: swatch.g, b: swatch.b };
+
+    return {
+        projector: boostColor(rgb(vibrant) ?? rgb(dominant)),
+        dominant: rgb(dominant),
+        vibrant: rgb(vibrant) ?? derived.vibrant,
+        muted: rgb(muted) ?? derived.muted,
+        dark: rgb(dark) ?? derived.dark
+    };
+}
+
+/**
+ * Extract the palette of one or more images, pooling their pixels so two strong colors stay apart
+ * instead of averaging into a muddy mix. Returns null if no pixels could be sampled.
+ */
+export function extractPalette(images) {
+    return paletteFromPixels(images.flatMap(samplePixels));
+}
+
+/**
+ * A palette derived from a single color (the default, or an image without distinct swatches)
+ */
+function paletteFromColor(color) {
+    const { h, s } = rgbToHsl(color);
+    return {
+        projector: boostColor(color),
+        dominant: { ...color },
+        vibrant: boostColor(color),
+        muted: hslToRgb({ h, s: s * 0.4, l: 0.5 }),
+        dark: hslToRgb({ h, s: Math.min(s, 0.5), l: 0.15 })
+    };
 }
 
 /**
  * Boost the saturation of a color to make it more vibrant for the projector
  */
 function boostColor(color) {
-    // Convert to HSL
+    const { h, s, l } = rgbToHsl(color);
+
+    // Boost saturation and ensure good lightness for projector effect
+    return hslToRgb({
+        h,
+        s: Math.min(1, s * 1.3 + 0.1),
+        l: Math.max(0.5, Math.min(0.7, l)) // Keep lightness in a good range
+    });
+}
+
+/**
+ * Convert an RGB color (0-255 channels) to HSL (0-1 components)
+ */
+function rgbToHsl(color) {
     const r = color.r / 255;
     const g = color.g / 255;
     const b = color.b / 255;
@@ -98,11 +269,13 @@ function boostColor(color) {
         }
     }
 
-    // Boost saturation and ensure good lightness for projector effect
-    s = Math.min(1, s * 1.3 + 0.1);
-    l = Math.max(0.5, Math.min(0.7, l)); // Keep lightness in a good range
+    return { h, s, l };
+}
 
-    // Convert back to RGB
+/**
+ * Convert an HSL color (0-1 components) to RGB (0-255 channels)
+ */
+function hslToRgb({ h, s, l }) {
     function hue2rgb(p, q, t) {
         if (t < 0) t += 1;
         if (t > 1) t -= 1;
@@ -175,37 +348,6 @@ function findPosterImages() {
     });
 }
 
-/**
- * Calculate the average color from multiple images
- */
-function calculateAverageColor(images) {
-    const colors = [];
-
-    for (const img of images) {
-        const color = extractColorFromImage(img);
-        if (color) {
-            colors.push(color);
-        }
-    }
-
-    if (colors.length === 0) {
-        return null;
-    }
-
-    // Average all colors
-    const avg = colors.reduce((acc, c) => ({
-        r: acc.r + c.r,
-        g: acc.g + c.g,
-        b: acc.b + c.b
-    }), { r: 0, g: 0, b: 0 });
-
-    return {
-        r: Math.round(avg.r / colors.length),
-        g: Math.round(avg.g / colors.length),
-        b: Math.round(avg.b / colors.length)
-    };
-}
-
 /**
  * Smoothly interpolate between current and target color
  */
@@ -218,21 +360,33 @@ function lerpColor(current, target, t) {
 }
 
 /**
- * Update the CSS custom properties on the backdrop and root
+ * Smoothly interpolate every color of a palette
+ */
+function lerpPalette(current, target, t) {
+    return Object.fromEntries(Object.keys(target).map(key => [key, lerpColor(current[key], target[key], t)]));
+}
+
+/**
+ * Set a color as three --<name>-r/g/b custom properties
  */
-function applyColor(color) {
-    // Set on :root so all elements can access the projector color
-    document.documentElement.style.setProperty('--projector-r', color.r);
-    document.documentElement.style.setProperty('--projector-g', color.g);
-    document.documentElement.style.setProperty('--projector-b', color.b);
+function setColorProperties(element, name, color) {
+    element.style.setProperty(`--${name}-r`, color.r);
+    element.style.setProperty(`--${name}-g`, color.g);
+    element.style.setProperty(`--${name}-b`, color.b);
+}
 
-    // Also set on backdrop for backwards compatibility
+/**
+ * Update the CSS custom properties on the backdrop and root: the projector color
+ * (--projector-r/g/b) and each swatch (--projector-dominant-r/g/b, --projector-vibrant-r/g/b, ...)
+ */
+function applyPalette(palette) {
+    // Set on :root so all elements can access the projector colors
+    // (the backdrop also gets them, for backwards compatibility)
     const backdrop = document.querySelector('.animated-backdrop');
-    if (backdrop) {
-        backdrop.style.setProperty('--projector-r', color.r);
-        backdrop.style.setProperty('--projector-g', color.g);
-        backdrop.style.setProperty('--projector-b', color.b);
-    }
+    [document.documentElement, backdrop].filter(Boolean).forEach(element => {
+        setColorProperties(element, 'projector', palette.projector);
+        swatchRoles.forEach(role => setColorProperties(element, `projector-${role}`, palette[role]));
+    });
 }
 
 /**
@@ -241,14 +395,15 @@ function applyColor(color) {
 function animateColor() {
     // Interpolate towards target
     const t = 0.02; // Slow, smooth transition
-    currentColor = lerpColor(currentColor, targetColor, t);
+    currentPalette = lerpPalette(currentPalette, targetPalette, t);
 
-    applyColor(currentColor);
+    applyPalette(currentPalette);
 
     // Continue animating if not at target
-    const diff = Math.abs(currentColor.r - targetColor.r) +
-                 Math.abs(currentColor.g - targetColor.g) +
-                 Math.abs(currentColor.b - targetColor.b);
+    const diff = Object.keys(targetPalette).reduce((sum, key) =>
+        sum + Math.abs(currentPalette[key].r - targetPalette[key].r) +
+              Math.abs(currentPalette[key].g - targetPalette[key].g) +
+              Math.abs(currentPalette[key].b - targetPalette[key].b), 0);
 
     if (diff > 1) {
         animationFrame = requestAnimationFrame(animateColor);
@@ -258,7 +413,7 @@ function animateColor() {
 }
 
 /**
- * Main function to update the projector color based on visible images
+ * Main function to update the projector colors based on visible images
  * Priority: 1. Backdrop image, 2. Detail poster, 3. Any visible posters
  */
 export function updateProjectorColor() {
@@ -284,25 +439,10 @@ export function updateProjectorColor() {
         images = findPosterImages();
     }
 
-    // Extract color from the prioritized source
-    if (sourceImage) {
-        const color = extractColorFromImage(sourceImage);
-        if (color) {
-            targetColor = boostColor(color);
-        } else {
-            targetColor = { r: 255, g: 180, b: 100 };
-        }
-    } else if (images.length > 0) {
-        const avgColor = calculateAverageColor(images);
-        if (avgColor) {
-            targetColor = boostColor(avgColor);
-        } else {
-            targetColor = { r: 255, g: 180, b: 100 };
-        }
-    } else {
-        // Reset to default warm amber when no images
-        targetColor = { r: 255, g: 180, b: 100 };
-    }
+    // Extract the palette from the prioritized source, pooling all visible posters otherwise;
+    // reset to default warm amber when there is nothing to sample
+    const palette = extractPalette(sourceImage ? [sourceImage] : images);
+    targetPalette = palette ?? paletteFromColor(defaultColor);
 
     // Start animation if not already running
     if (!animationFrame) {
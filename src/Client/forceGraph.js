@@ -4,22 +4,39 @@
  */
 
 import * as d3 from 'd3';
+import {
+    betweennessCentrality,
+    buildNeighborMap,
+    degreeCentrality,
+    detectCommunities,
+    edgeKey,
+    hopDistances,
+    kShortestPaths,
+    pageRank
+} from './graphAlgorithms.js';
+import { createWorkerSimulation } from './workerSimulation.js';
+import { contributorRoles, decodeGraph } from './graphPayload.js';
+import { readPalette, samePalette, watchPalette } from './graphPalette.js';
+import { decodeViewState, encodeViewState } from './graphViewState.js';
 
-// Store the simulation instance for external control
-let simulation = null;
-let svg = null;
-let container = null;
-let zoom = null;
-
-// Color palette for node types
-const nodeColors = {
-    movie: '#c9a227',      // Gold/amber - matches the app's accent
-    series: '#9333ea',     // Purple
-    friend: '#22c55e',     // Green
-    contributor: '#0ea5e9', // Sky blue
-    collection: '#f43f5e'  // Rose
+// Mounted graphs by container ID, plus the most recently initialized one,
+// which the module-level wrappers (setZoom, resetZoom, focusOnNode, ...) target
+const graphs = new Map();
+let activeGraph = null;
+
+// Symbol per node type, shown as a badge so a node's type does not rest on its color alone
+const nodeTypeSymbols = {
+    movie: d3.symbolSquare,
+    series: d3.symbolDiamond,
+    friend: d3.symbolCircle,
+    contributor: d3.symbolStar,
+    collection: d3.symbolTriangle
 };
 
+// Radius of the type badge and the area of its symbol
+const TYPE_BADGE_RADIUS = 7;
+const TYPE_SYMBOL_SIZE = 40;
+
 // Node sizes by type
 const nodeSizes = {
     movie: 30,
@@ -29,123 +46,1098 @@ const nodeSizes = {
     collection: 26
 };
 
+// Poster dimensions for movie/series nodes
+const posterSize = { width: 40, height: 60, radius: 4 };
+
+// Centrality metrics that can drive node size, and the size range they map to
+const metricNames = ['degree', 'betweenness', 'pagerank'];
+const MIN_NODE_SCALE = 0.75;
+const MAX_NODE_SCALE = 2;
+
+// Above this many nodes the 'auto' renderer switches from SVG to canvas
+const CANVAS_NODE_THRESHOLD = 1000;
+
+// Images used by the canvas renderer, keyed by URL
+const canvasImages = new Map();
+
+// Image URLs that failed to load; nodes fall back to initials and the URL is not requested again
+const failedImages = new Set();
+
+// Smooth closed outline through hull points
+const hullLine = d3.line().curve(d3.curveCatmullRomClosed.alpha(0.5));
+
+// Opacity of nodes outside the current highlight (path, search results, ...)
+const DIMMED_NODE_OPACITY = 0.15;
+
+// Ticks pre-computed before a graph is shown: about where the default simulation has settled
+// enough that the first frame does not visibly fly apart
+const DEFAULT_WARMUP_TICKS = 120;
+
+// Human-readable names for node types and relationships (used for ARIA labels)
+const nodeTypeLabels = {
+    movie: 'Movie',
+    series: 'Series',
+    friend: 'Friend',
+    contributor: 'Contributor',
+    collection: 'Collection'
+};
+
+const relationshipLabels = {
+    WatchedWith: 'watched with',
+    WorkedOn: 'worked on',
+    InCollection: 'in collection',
+    BelongsToCollection: 'belongs to collection'
+};
+
+const roleLabels = {
+    Director: 'Director',
+    Actor: 'Actor',
+    Writer: 'Writer',
+    Cinematographer: 'Cinematographer',
+    Composer: 'Composer',
+    Producer: 'Producer',
+    ExecutiveProducer: 'Executive producer',
+    CreatedBy: 'Creator',
+    Other: 'Crew'
+};
+
+// Link dash pattern by relationship, or by contributor role for WorkedOn links (colors come from the palette)
+const linkDashes = {
+    WatchedWith: null,
+    InCollection: [4, 4],
+    BelongsToCollection: [4, 4],
+    Director: null,
+    Actor: null,
+    Writer: [6, 3],
+    Cinematographer: [2, 3],
+    Composer: [2, 3],
+    Producer: [8, 3, 2, 3],
+    ExecutiveProducer: [8, 3, 2, 3],
+    CreatedBy: [8, 3],
+    Other: [4, 4]
+};
+
+// RGB channels of palette colors, so link strokes can be built with any opacity without parsing per frame
+const colorChannels = new Map();
+
+// Widest stroke of a merged link, however many edges it stands for
+const MAX_LINK_WIDTH = 8;
+
+// Zoom levels where rendering switches detail: below 'far' only shapes and the most important
+// labels, from 'near' on images and full names; in between labels without images
+const LOD_THRESHOLDS = { far: 0.4, near: 0.9 };
+
+// Number of most connected nodes that keep their label when zoomed out
+const FAR_LABEL_COUNT = 12;
+
+// Minimap size in CSS pixels
+const MINIMAP_SIZE = { width: 180, height: 120 };
+
+// Hover card: width in pixels and how long a press must be held to open it on touch screens
+const NODE_CARD_WIDTH = 220;
+const LONG_PRESS_DURATION = 500;     // Touch press that focuses a node on release
+const CONTEXT_MENU_DURATION = 900;   // Touch press that opens the context menu
+
+// Unit vectors for arrow-key navigation
+const arrowDirections = {
+    ArrowUp: [0, -1],
+    ArrowDown: [0, 1],
+    ArrowLeft: [-1, 0],
+    ArrowRight: [1, 0]
+};
+
+// Arrangements the simulation can be switched between
+const layoutModes = ['force', 'radial', 'grouped'];
+
+// Column of each node type in the grouped layout mode, and the column order left to right
+const columnGroups = {
+    friend: 'friends',
+    movie: 'titles',
+    series: 'titles',
+    contributor: 'contributors',
+    collection: 'collections'
+};
+const columnOrder = ['friends', 'titles', 'contributors', 'collections'];
+
+// Distance between the rings of the radial layout mode
+const RING_SPACING = 140;
+
+// Compare mode: least distance between the two anchors, and how strongly shared neighbors are pulled between them
+const COMPARE_SPACING = 280;
+const COMPARE_PULL = 0.3;
+
+// localStorage key for named layouts
+const LAYOUTS_STORAGE_KEY = 'cinemarco-graph-layouts';
+
 /**
  * Initialize the force-directed graph
  * @param {string} containerId - The ID of the container element
  * @param {Object} graphData - The graph data with nodes and edges
  * @param {Function} onNodeSelect - Callback when a node is selected (single click)
  * @param {Function} onNodeFocus - Callback when a node is focused (double click)
+ * @param {Object} [options] - Rendering options
+ * @param {'auto'|'svg'|'canvas'} [options.renderer='auto'] - Rendering path; 'auto' switches to canvas above the threshold
+ * @param {number} [options.canvasThreshold] - Node count above which 'auto' uses the canvas renderer
+ * @param {string} [options.layout] - Name of a saved layout to restore instead of starting from scratch
+ * @param {boolean} [options.legend=true] - Show the clickable node type legend
+ * @param {boolean} [options.minimap=true] - Show the minimap navigator
+ * @param {Function} [options.onPathFound] - Called with the hop sequences found by findPath
+ * @param {Function} [options.onCommunitiesChange] - Called with the communities after community detection
+ * @param {'force'|'radial'|'grouped'} [options.layoutMode='force'] - Initial arrangement of the nodes
+ * @param {string} [options.focusNodeId] - Center node of the 'radial' layout mode
+ * @param {'degree'|'betweenness'|'pagerank'} [options.sizeBy] - Centrality metric that scales node size
+ * @param {Function} [options.onSearchChange] - Called with the matches whenever the search or the current match changes
+ * @param {Function} [options.onSelectionChange] - Called with all selected nodes whenever the selection changes
+ * @param {Function} [options.neighborProvider] - Returns (or resolves to) the { Nodes, Edges } neighborhood of a node,
+ *   enabling expand and collapse
+ * @param {boolean} [options.expandOnDoubleClick=true] - With a neighborProvider, double click toggles expansion
+ *   instead of calling onNodeFocus
+ * @param {boolean} [options.worker=true] - Run the force simulation in a Web Worker
+ * @param {number} [options.warmupTicks=DEFAULT_WARMUP_TICKS] - Simulation ticks to pre-compute before the graph is shown,
+ *   so it appears settled; 0 shows it from the first tick
+ * @param {Function} [options.nodeActions] - Called with a node and the default context menu actions
+ *   ({ id, label, run(node) }); returns the actions to offer
+ * @param {Function} [options.onImageError] - Called with { url, nodes } once per missing image
+ * @param {Function} [options.onDiagnostic] - Called with each problem found while decoding graph data
+ *   ({ severity, code, path, message, value }); logged to the console by default
+ * @param {string|Object} [options.palette='theme'] - Colors: 'theme' reads CSS custom properties (see readPalette),
+ *   'okabe-ito' and 'tol-bright' are colorblind-safe; an object overrides parts of the theme palette
+ * @param {boolean} [options.typeBadges=true] - Mark each node with a symbol for its type
+ * @param {Function} [options.onCompare] - Called with the compare summary ({ first, second, onlyFirst,
+ *   onlySecond, shared, counts }) when two nodes are compared, and with null when the comparison ends
+ * @param {string} [options.viewState] - View state to restore (from getViewState or onViewStateChange)
+ * @param {Function} [options.onViewStateChange] - Called with the encoded view state and { push } when it changes:
+ *   push is true for camera moves (zoom, pan, focus), which belong in the navigation history,
+ *   and false for selection, pin and filter changes, which update the current entry
+ * @returns {Object|undefined} Controller owning this graph's state, or undefined if the container is missing
  */
-export function initializeGraph(containerId, graphData, onNodeSelect, onNodeFocus) {
-    console.log("initializeGraph called with:", { containerId, graphData, onNodeSelect });
+export function initializeGraph(containerId, graphData, onNodeSelect, onNodeFocus, options = {}) {
     const containerEl = document.getElementById(containerId);
     if (!containerEl) return;
 
-    // Clear existing graph
-    d3.select(`#${containerId}`).selectAll('*').remove();
+    // Clear existing graph in this container
+    graphs.get(containerId)?.destroy();
+    d3.select(containerEl).selectAll('*').remove();
 
     const width = containerEl.clientWidth;
     const height = containerEl.clientHeight || 600;
 
-    // Transform the graph data into D3-friendly format
-    const nodes = transformNodes(graphData.Nodes);
-    const links = transformLinks(graphData.Edges, nodes);
-    console.log("Transformed nodes:", nodes.length, nodes);
-    console.log("Transformed links:", links.length, links);
+    // Decode the graph data into D3-friendly format
+    const { nodes, edges } = decodeGraph(graphData, { onDiagnostic: options.onDiagnostic ?? logDiagnostic });
+    const links = buildLinks(edges);
+    const warmupTicks = options.warmupTicks ?? DEFAULT_WARMUP_TICKS;
+
+    // Create the simulation; its physics run in a Web Worker where available
+    const simulation = createWorkerSimulation(d3.forceSimulation(nodes), {
+        worker: options.worker !== false,
+        warmupTicks
+    })
+        .force('link', d3.forceLink(links).id(d => d.id).distance(100).strength(0.5))
+        .force('charge', d3.forceManyBody().strength(-300))
+        .force('center', d3.forceCenter(width / 2, height / 2))
+        .force('collision', d3.forceCollide().radius(d => nodeSizes[d.type] * nodeScale(d) + 10));
+
+    // Per-graph state; everything a controller operates on lives here
+    const graph = {
+        containerId,
+        containerEl,
+        width,
+        height,
+        nodes,
+        links,
+        simulation,
+        adjacency: buildAdjacency(links),
+        options,
+        callbacks: { onNodeSelect, onNodeFocus },
+        renderer: shouldUseCanvas(nodes.length, options) ? 'canvas' : 'svg',
+        root: null,         // Element carrying the zoom behavior (svg or canvas selection)
+        container: null,    // Zoomable <g> (SVG renderer only)
+        zoom: null,
+        transform: d3.zoomIdentity,
+        frame: null,        // Pending canvas redraw
+        keyboardNode: null, // Node reached with keyboard navigation
+        keyboardActive: false,
+        hiddenTypes: new Set(),
+        hiddenNodes: new Set(), // IDs of nodes hidden one by one
+        hiddenRelationships: new Set(),
+        hoveredNode: null,
+        hoveredLink: null,
+        linkTooltip: null,  // Tooltip explaining the hovered link
+        nodeCard: null,     // Hover card element
+        cardNode: null,     // Node the hover card describes
+        nodeAtEvent: () => null,    // Node under a pointer event (set by the renderer)
+        minimap: null,      // Minimap navigator ({ element, canvas, frame, ... })
+        lodLevel: null,     // Current level of detail: 'far', 'mid' or 'near'
+        lodFrame: null,     // Pending level of detail update
+        imageFrame: null,   // Pending update after failed images (SVG renderer)
+        importanceOrder: null, // Nodes by degree, for label priority
+        applyLevelOfDetail: null,   // Applies the level of detail (SVG renderer only)
+        highlight: null,    // { kind, nodes: Set, links: Set, linkColors? } emphasized over the rest of the graph;
+                            // linkColors maps links to palette keys (default 'highlight')
+        pathPicking: null,  // { source } while the user picks path endpoints
+        compare: null,      // { first, second, groups: Map node -> group, held, summary } while comparing
+        comparePicking: null, // { first } while the user picks the nodes to compare
+        search: null,       // { query, matches, index } of the in-graph search
+        selection: new Set(), // Selected nodes (click, shift-click, lasso)
+        lasso: null,        // { points } in graph coordinates while a lasso is drawn
+        lassoMode: false,   // Plain background drags draw a lasso instead of panning
+        swallowClick: false, // Ignore the click that ends a long press or lasso
+        contextMenu: null,  // { element, node, closeOnOutside } while the node context menu is open
+        missingImages: new Map(), // Image URL -> nodes, for images that failed to load
+        focusId: null,      // Node the camera was last centered on
+        viewState: null,    // Last reported encoded view state
+        viewHistory: false, // Whether view changes are reported (not while initializing)
+        quietCamera: false, // The current camera move is a restore and is not reported
+        palette: readPalette(containerEl, options.palette),
+        paletteChoice: options.palette,
+        stopPaletteWatch: null,
+        applyPalette: () => {},     // Recolors palette-dependent elements (set by the renderer)
+        updateLasso: () => {},      // Redraws the lasso outline (set by the renderer)
+        communities: null,  // Detected communities, largest first
+        communityOf: new Map(),
+        colorMode: 'type',  // 'type' or 'community'
+        showHulls: false,
+        layoutMode: 'force', // 'force', 'radial' or 'grouped'
+        layoutFocus: null,  // Center node of the radial layout
+        metrics: {},        // Centrality per node ID by metric, each computed on first use
+        sizeMetric: null,   // Metric that scales node size, or null for fixed sizes
+        expansions: new Map(), // Node ID -> { nodes, links } it added (null while loading)
+        heldNodes: new Set(),  // Nodes held in place while expanded neighborhoods settle
+        legendEl: null,
+        accessibilityEl: null,
+        updateData: () => {},       // Joins added or removed nodes and links (set by the renderer)
+        refresh: () => {},          // Re-applies state-dependent styling (set by the renderer)
+        updateVisibility: () => {}  // Animates filtered elements in or out (set by the renderer)
+    };
+
+    const layout = options.layout ? readLayouts()[options.layout] : null;
+    if (layout) {
+        applyLayoutPositions(graph, layout);
+    }
+
+    if (graph.renderer === 'canvas') {
+        renderCanvas(graph);
+    } else {
+        renderSvg(graph);
+    }
+
+    if (layout) {
+        graph.root.call(graph.zoom.transform, toZoomTransform(layout.transform));
+    }
+
+    // Stay hidden while the first ticks are pre-computed
+    if (warmupTicks > 0) {
+        graph.root.style('opacity', 0);
+        simulation.on('tick.reveal', () => {
+            simulation.on('tick.reveal', null);
+            graph.root?.transition('reveal').duration(300).style('opacity', 1);
+        });
+    }
+
+    if (options.sizeBy) {
+        setSizeMetric(graph, options.sizeBy);
+    }
+
+    if (options.layoutMode && options.layoutMode !== 'force') {
+        setLayoutMode(graph, options.layoutMode, { focusId: options.focusNodeId });
+    }
+
+    if (options.viewState) {
+        applyViewState(graph, options.viewState, { animate: false });
+    }
+
+    setupAccessibility(graph);
+    setupPointerGestures(graph);
+    reportKnownImageFailures(graph);
+
+    // Follow theme changes, including the projector color as it animates
+    graph.stopPaletteWatch = watchPalette(containerEl, () => updatePalette(graph));
+
+    if (options.legend !== false) {
+        renderLegend(graph);
+    }
+
+    if (options.minimap !== false) {
+        renderMinimap(graph);
+    }
+
+    // Changes from here on are the user's
+    graph.viewState = currentViewState(graph);
+    graph.viewHistory = true;
+
+    const controller = createController(graph);
+    graphs.set(containerId, controller);
+    activeGraph = controller;
+
+    return controller;
+}
+
+/**
+ * Create the public controller for a graph instance
+ */
+function createController(graph) {
+    const controller = {
+        containerId: graph.containerId,
+        renderer: graph.renderer,
+        simulation: graph.simulation,
+
+        /** All nodes in the graph (D3 format, with current positions) */
+        nodes: () => graph.nodes,
+
+        /** All links in the graph (D3 format, endpoints resolved to nodes) */
+        links: () => graph.links,
+
+        /** Get a node by its ID */
+        getNode: (nodeId) => graph.nodes.find(n => n.id === nodeId) ?? null,
+
+        /** Current zoom transform ({ x, y, k }) */
+        getTransform: () => graph.transform,
+
+        /** Animate to the given zoom level */
+        setZoom: (level) => zoomTo(graph, level),
+
+        /** Animate to fit all nodes */
+        resetZoom: () => fitToView(graph),
+
+        /** Animate to center on a node; { record: false } keeps the move out of onViewStateChange */
+        focusOnNode: (nodeId, options) => centerOnNode(graph, nodeId, options),
+
+        /** Fix a node at its current position */
+        pinNode: (nodeId) => setPinned(graph, nodeId, true),
+
+        /** Release a pinned node back into the simulation */
+        unpinNode: (nodeId) => setPinned(graph, nodeId, false),
+
+        /** Load a node's neighbors from options.neighborProvider; resolves to the added nodes */
+        expandNode: (nodeId) => expandNode(graph, nodeId),
+
+        /** Remove the nodes and links an expansion added */
+        collapseNode: (nodeId) => collapseNode(graph, nodeId),
+
+        /** Expand a node, or collapse it if it is expanded */
+        toggleExpand: (nodeId) => toggleExpand(graph, nodeId),
+
+        /** Whether a node is expanded (or its neighbors are loading) */
+        isExpanded: (nodeId) => graph.expansions.has(nodeId),
+
+        /** Release all pinned nodes */
+        unpinAll: () => unpinAll(graph),
+
+        /** Save node positions and the zoom transform under a name */
+        saveLayout: (name) => saveLayout(graph, name),
+
+        /** Restore a saved layout; returns false if no layout has that name */
+        restoreLayout: (name) => restoreLayout(graph, name),
+
+        /** Delete a saved layout */
+        deleteLayout: (name) => deleteLayout(name),
+
+        /** Names of all saved layouts */
+        listLayouts: () => Object.keys(readLayouts()),
+
+        /** Show or hide all nodes of a type ('movie', 'series', 'friend', 'contributor', 'collection') */
+        setNodeTypeVisible: (type, visible) => setFilterEntry(graph, graph.hiddenTypes, type, visible),
+
+        /** Show or hide all links of a relationship ('WatchedWith', 'WorkedOn', 'InCollection', 'BelongsToCollection') */
+        setRelationshipVisible: (relationship, visible) =>
+            setFilterEntry(graph, graph.hiddenRelationships, relationship, visible),
+
+        /** Hide a single node (and its links) */
+        hideNode: (nodeId) => setFilterEntry(graph, graph.hiddenNodes, nodeId, false),
+
+        /** Show a node hidden with hideNode */
+        showNode: (nodeId) => setFilterEntry(graph, graph.hiddenNodes, nodeId, true),
+
+        /** Toggle a node type; returns whether it is now visible */
+        toggleNodeType: (type) => toggleFilterEntry(graph, graph.hiddenTypes, type),
+
+        /** Toggle a relationship; returns whether it is now visible */
+        toggleRelationship: (relationship) => toggleFilterEntry(graph, graph.hiddenRelationships, relationship),
+
+        /** Currently hidden node types, relationships and single nodes */
+        getFilters: () => ({
+            hiddenTypes: Array.from(graph.hiddenTypes),
+            hiddenRelationships: Array.from(graph.hiddenRelationships),
+            hiddenNodes: Array.from(graph.hiddenNodes)
+        }),
+
+        /** Replace the hidden node types, relationships and single nodes */
+        setFilters: ({ hiddenTypes = [], hiddenRelationships = [], hiddenNodes = [] }) => {
+            graph.hiddenTypes = new Set(hiddenTypes);
+            graph.hiddenRelationships = new Set(hiddenRelationships);
+            graph.hiddenNodes = new Set(hiddenNodes);
+            applyFilters(graph);
+        },
+
+        /** The view state (transform, focused node, selection, hidden types, pins) as a compact URL-safe string */
+        getViewState: () => currentViewState(graph),
+
+        /**
+         * Restore a view state from getViewState; the camera animates unless { animate: false }.
+         * An empty state shows the whole graph without selection, filters or pins.
+         */
+        setViewState: (viewState, options) => applyViewState(graph, viewState, options),
+
+        /** URLs of node images that failed to load */
+        missingImages: () => Array.from(graph.missingImages.keys()),
+
+        /** Open the context menu of a node, at the node or at a point in container coordinates */
+        openContextMenu: (nodeId, point) => {
+            const d = graph.nodes.find(n => n.id === nodeId);
+            if (d) openContextMenu(graph, d, point);
+        },
+
+        /** Close the node context menu */
+        closeContextMenu: () => closeContextMenu(graph),
+
+        /**
+         * Find and highlight the shortest path(s) between two nodes, fitting the camera to them.
+         * Returns the paths as hop sequences ([{ node, relationship }, ...]) and passes them to onPathFound.
+         */
+        findPath: (sourceId, targetId, options) => findPath(graph, sourceId, targetId, options),
+
+        /** Let the user pick the path endpoints with the next two node clicks */
+        startPathPicking: (options) => {
+            graph.pathPicking = { source: null, options };
+            announce(graph, 'Pick the start node of the path.');
+        },
+
+        /** Leave path picking and remove the path highlight */
+        clearPath: () => clearPath(graph),
+
+        /**
+         * Compare two nodes: highlight the neighbors only the first has, only the second has and both share,
+         * pulling the shared ones between the two. Returns the summary and passes it to onCompare.
+         */
+        compareNodes: (firstId, secondId) => compareNodes(graph, firstId, secondId),
+
+        /** Compare the two selected nodes, or else let the user pick them with the next two node clicks */
+        startCompare: () => {
+            const selected = Array.from(graph.selection);
+            if (selected.length === 2) return compareNodes(graph, selected[0].id, selected[1].id);
+            graph.comparePicking = { first: selected.length === 1 ? selected[0] : null };
+            announce(graph, graph.comparePicking.first
+                ? `Pick the node to compare ${graph.comparePicking.first.name} with.`
+                : 'Pick the first node to compare.');
+            return null;
+        },
+
+        /** End the comparison (or compare picking) */
+        clearCompare: () => clearCompare(graph),
+
+        /** Summary of the current comparison, or null */
+        getCompare: () => graph.compare?.summary ?? null,
+
+        /**
+         * Fuzzy-match node names, highlight the matches and fly to the best one.
+         * Returns { query, matches, index, current, total } and passes it to onSearchChange.
+         */
+        search: (query, options) => searchNodes(graph, query, options),
+
+        /** Fly to the next search match, wrapping around */
+        nextMatch: () => stepSearch(graph, 1),
+
+        /** Fly to the previous search match, wrapping around */
+        previousMatch: () => stepSearch(graph, -1),
+
+        /** Remove the search highlight */
+        clearSearch: () => clearSearch(graph),
+
+        /** Currently selected nodes */
+        getSelection: () => Array.from(graph.selection),
+
+        /** Replace the selection with the nodes of the given IDs */
+        setSelection: (nodeIds) => setSelection(graph, graph.nodes.filter(d => nodeIds.includes(d.id))),
+
+        /** Deselect all nodes */
+        clearSelection: () => setSelection(graph, []),
+
+        /** Let plain background drags draw a selection lasso (shift-drag always does) */
+        setLassoMode: (enabled) => {
+            graph.lassoMode = enabled;
+        },
+
+        /**
+         * Run community detection over the visible links and report the result to onCommunitiesChange.
+         * Returns [{ id, label, color, members, topMember }], largest first.
+         */
+        detectCommunities: (options) => runCommunityDetection(graph, options),
+
+        /** Communities from the last detection, or null */
+        getCommunities: () => graph.communities,
+
+        /** Color nodes by 'type' (default) or by 'community' */
+        setColorMode: (mode) => {
+            if (mode === 'community' && !graph.communities) runCommunityDetection(graph);
+            graph.colorMode = mode;
+            graph.refresh();
+        },
+
+        /**
+         * Switch the palette: 'theme' (CSS custom properties), a built-in colorblind-safe palette
+         * ('okabe-ito', 'tol-bright') or an object overriding parts of the theme palette
+         */
+        setPalette: (palette) => {
+            graph.paletteChoice = palette;
+            updatePalette(graph);
+        },
+
+        /** The colors currently in use */
+        getPalette: () => graph.palette,
+
+        /** Show or hide the convex hulls around communities */
+        setHullsVisible: (visible) => {
+            if (visible && !graph.communities) runCommunityDetection(graph);
+            graph.showHulls = visible;
+            graph.refresh();
+        },
+
+        /** Highlight the members of a community, or clear with null */
+        highlightCommunity: (communityId) => highlightCommunity(graph, communityId),
+
+        /**
+         * Rearrange the nodes: 'force' (free force-directed), 'radial' (rings by hop distance
+         * around options.focusId) or 'grouped' (columns for friends, titles, contributors, collections).
+         * Nodes animate from their current positions.
+         */
+        setLayoutMode: (mode, options) => setLayoutMode(graph, mode, options),
+
+        /** Current layout mode and the radial focus node ID */
+        getLayoutMode: () => ({ mode: graph.layoutMode, focusId: graph.layoutFocus?.id ?? null }),
+
+        /** Degree, betweenness and PageRank of a node */
+        getMetrics: (nodeId) =>
+            Object.fromEntries(metricNames.map(metric => [metric, getMetric(graph, metric).get(nodeId) ?? 0])),
+
+        /**
+         * The n nodes ranking highest by a metric ('degree', 'betweenness', 'pagerank'),
+         * optionally only of some types. Returns [{ node, value }], highest first.
+         */
+        topNodes: (metric, n, options) => topNodes(graph, metric, n, options),
+
+        /** Scale node size by a metric, or return to fixed sizes per type with null */
+        setSizeMetric: (metric) => setSizeMetric(graph, metric),
+
+        /** Show or hide the minimap navigator */
+        setMinimapVisible: (visible) => {
+            if (visible && !graph.minimap) renderMinimap(graph);
+            graph.minimap?.element.style('display', visible ? null : 'none');
+        },
+
+        /** Export as a standalone SVG string with images inlined */
+        exportSvg: () => exportSvg(graph),
+
+        /** Export as a PNG blob, rasterized at the given scale */
+        exportPng: (options) => exportPng(graph, options),
+
+        /** Export as a GraphML document string */
+        exportGraphML: () => exportGraphML(graph),
+
+        /** Export as a JSON node-link document */
+        exportJson: () => exportJson(graph),
+
+        /** Export in the given format ('svg', 'png', 'graphml', 'json') and download the file */
+        download: (format, options) => downloadExport(graph, format, options),
+
+        /** Stop the simulation and remove the graph from its container */
+        destroy: () => {
+            teardown(graph);
+            if (graphs.get(graph.containerId) === controller) {
+                graphs.delete(graph.containerId);
+            }
+            if (activeGraph === controller) {
+                activeGraph = Array.from(graphs.values()).pop() ?? null;
+            }
+        }
+    };
+
+    return controller;
+}
+
+/**
+ * Decide whether the canvas renderer should be used for a graph of the given size
+ */
+function shouldUseCanvas(nodeCount, options) {
+    if (options.renderer === 'canvas') return true;
+    if (options.renderer === 'svg') return false;
+    return nodeCount > (options.canvasThreshold ?? CANVAS_NODE_THRESHOLD);
+}
+
+/**
+ * Render the graph as SVG elements (one group per node)
+ */
+function renderSvg(graph) {
+    const { width, height, simulation } = graph;
 
     // Create SVG
-    svg = d3.select(`#${containerId}`)
+    const svg = d3.select(graph.containerEl)
         .append('svg')
         .attr('width', '100%')
         .attr('height', '100%')
         .attr('viewBox', [0, 0, width, height])
         .attr('class', 'graph-svg');
 
-    // Add gradient definitions for nodes
-    addGradients(svg);
+    // Add gradient definitions for nodes (IDs are scoped so several graphs can share a page)
+    const gradientId = type => `${graph.containerId}-gradient-${type}`;
+    const defs = svg.append('defs');
+    updateGradients(defs, gradientId, graph.palette);
 
     // Create a container for zoomable content
-    container = svg.append('g').attr('class', 'graph-container');
+    const container = svg.append('g').attr('class', 'graph-container');
 
     // Add zoom behavior
-    zoom = d3.zoom()
+    const zoom = d3.zoom()
         .scaleExtent([0.1, 4])
+        .filter(event => zoomFilter(graph, event))
         .on('zoom', (event) => {
+            graph.transform = event.transform;
             container.attr('transform', event.transform);
-        });
+            notifyViewChange(graph);
+        })
+        .on('end', () => endCameraMove(graph));
 
     svg.call(zoom);
 
-    // Create the simulation
-    simulation = d3.forceSimulation(nodes)
-        .force('link', d3.forceLink(links).id(d => d.id).distance(100).strength(0.5))
-        .force('charge', d3.forceManyBody().strength(-300))
-        .force('center', d3.forceCenter(width / 2, height / 2))
-        .force('collision', d3.forceCollide().radius(d => nodeSizes[d.type] + 10));
+    graph.root = svg;
+    graph.container = container;
+    graph.zoom = zoom;
 
-    // Create links (edges)
-    const link = container.append('g')
-        .attr('class', 'links')
-        .selectAll('line')
-        .data(links)
-        .join('line')
-        .attr('stroke', 'rgba(255, 255, 255, 0.2)')
-        .attr('stroke-width', 1.5)
-        .attr('stroke-dasharray', d => d.relationship === 'WatchedWith' ? 'none' : '4,4');
+    // Community hulls sit beneath everything else
+    const hullLayer = container.append('g').attr('class', 'hulls');
 
-    // Create node groups
-    const node = container.append('g')
-        .attr('class', 'nodes')
-        .selectAll('g')
-        .data(nodes)
-        .join('g')
-        .attr('class', 'node')
-        .call(drag(simulation))
-        .on('click', (event, d) => {
-            event.stopPropagation();
-            if (onNodeSelect) {
-                onNodeSelect(d);
-            }
+    // Links, their hover targets and nodes each live in a layer; bindData joins the current data into them
+    const linkLayer = container.append('g').attr('class', 'links');
+    const linkHitLayer = container.append('g').attr('class', 'link-hits');
+    const nodeLayer = container.append('g').attr('class', 'nodes');
+    let link, linkHit, node, nodeBody, images, labels, initials, badges;
+    let rendered = false;   // Elements entering after the first render fade in
+
+    const bindData = () => {
+        link = linkLayer.selectAll('line')
+            .data(graph.links, l => l.id)
+            .join(enter => styleSvgLinks(enter.append('line'), graph).attr('opacity', rendered ? 0 : null));
+
+        // Wide transparent strokes over the links make them easy to hover
+        linkHit = linkHitLayer.selectAll('line')
+            .data(graph.links, l => l.id)
+            .join(enter => enter.append('line')
+                .attr('stroke', 'transparent')
+                .attr('stroke-width', 10)
+                .attr('pointer-events', 'stroke')
+                .on('mouseenter mousemove', (event, l) => {
+                    graph.hoveredLink = l;
+                    styleLinks();
+                    showLinkTooltip(graph, l, d3.pointer(event, graph.containerEl));
+                })
+                .on('mouseleave', () => {
+                    graph.hoveredLink = null;
+                    styleLinks();
+                    showLinkTooltip(graph, null);
+                }));
+
+        node = nodeLayer.selectAll('g.node')
+            .data(graph.nodes, d => d.id)
+            .join(enter => enterNodes(enter.append('g')));
+
+        nodeBody = node.select('.node-body');
+        images = nodeBody.selectAll('image');
+        labels = nodeBody.select('.node-label');
+        initials = nodeBody.select('.node-initials');
+        badges = node.select('.node-type-badge');
+    };
+
+    // Failed images are swapped on their own node; the selections the level of detail toggles
+    // are re-read once per frame, however many images failed in it
+    const scheduleImageFallbacks = () => {
+        if (graph.imageFrame !== null) return;
+        graph.imageFrame = requestAnimationFrame(() => {
+            graph.imageFrame = null;
+            images = nodeBody.selectAll('image');
+            initials = nodeBody.select('.node-initials');
+        });
+    };
+
+    const enterNodes = (entered) => {
+        entered
+            .attr('class', 'node')
+            .attr('opacity', rendered ? 0 : null)
+            .call(drag(graph))
+            .on('click', (event, d) => {
+                event.stopPropagation();
+                handleNodeClick(graph, event, d);
+            })
+            .on('dblclick', (event, d) => {
+                event.stopPropagation();
+                handleNodeDoubleClick(graph, d);
+            });
+
+        // Shapes sit in an inner group so highlighting can dim them independently of filter fades
+        const body = entered.append('g').attr('class', 'node-body');
+        appendSvgNodeShapes(body, gradientId, graph.palette);
+
+        // Images load lazily once their node is in view at the 'near' level; a failed image gives way to initials
+        body.selectAll('image')
+            .attr('data-src', function() { return this.getAttribute('href'); })
+            .attr('href', null)
+            .attr('display', 'none')
+            .on('error', function(event, d) {
+                reportImageFailure(graph, this.getAttribute('data-src'));
+                const parent = d3.select(this.parentNode);
+                d3.select(this).remove();
+                if (isPosterNode(d)) {
+                    parent.select('.node-poster').attr('fill', shapeFill(d));
+                } else {
+                    appendSvgInitials(parent.insert('text', '.node-label'), graph.palette)
+                        .attr('display', graph.lodLevel === 'far' ? 'none' : null);
+                }
+                scheduleImageFallbacks();
+            });
+
+        // Screen reader label per node
+        entered.attr('role', 'img')
+            .attr('aria-label', d => describeNode(graph, d));
+
+        // Pin indicator, shown while a node is pinned
+        entered.append('circle')
+            .attr('class', 'node-pin')
+            .attr('cx', d => pinIndicatorOffset(d)[0])
+            .attr('cy', d => pinIndicatorOffset(d)[1])
+            .attr('r', 5)
+            .attr('fill', graph.palette.foreground)
+            .attr('stroke', d => nodeColor(graph, d))
+            .attr('stroke-width', 2)
+            .attr('display', d => d.pinned ? null : 'none');
+
+        // Type badge, opposite the pin indicator
+        if (graph.options.typeBadges !== false) {
+            appendSvgTypeBadge(entered, graph.palette)
+                .attr('transform', d => `translate(${typeBadgeOffset(d)})`);
+        }
+
+        // Compare ring, shown while the node takes part in a comparison
+        entered.insert('circle', ':first-child')
+            .attr('class', 'node-compare')
+            .attr('fill', 'none')
+            .attr('pointer-events', 'none')
+            .attr('display', 'none');
+
+        // Selection ring, shown while a node is selected
+        entered.insert('circle', ':first-child')
+            .attr('class', 'node-selection')
+            .attr('fill', 'none')
+            .attr('stroke', graph.palette.highlight)
+            .attr('stroke-width', 2.5)
+            .attr('pointer-events', 'none')
+            .attr('display', 'none');
+
+        // Add hover effects
+        entered.on('mouseenter', function(event, d) {
+            d3.select(this).select('.node-circle, .node-poster')
+                .transition()
+                .duration(200)
+                .attr('stroke-width', 4);
+
+            // Highlight connected links
+            graph.hoveredNode = d;
+            styleLinks();
+            showNodeCard(graph, d);
+            scheduleLevelOfDetail(graph);
         })
-        .on('dblclick', (event, d) => {
-            event.stopPropagation();
-            if (onNodeFocus) {
-                onNodeFocus(d);
+        .on('mouseleave', function() {
+            d3.select(this).select('.node-circle, .node-poster')
+                .transition()
+                .duration(200)
+                .attr('stroke-width', 2);
+
+            graph.hoveredNode = null;
+            styleLinks();
+            showNodeCard(graph, null);
+            scheduleLevelOfDetail(graph);
+        });
+
+        return entered;
+    };
+
+    bindData();
+    rendered = true;
+
+    // Links and their hover targets follow their endpoints; nodes move as a group
+    const positionElements = () => {
+        [link, linkHit].forEach(line => line
+            .attr('x1', d => d.source.x)
+            .attr('y1', d => d.source.y)
+            .attr('x2', d => d.target.x)
+            .attr('y2', d => d.target.y));
+        node.attr('transform', d => `translate(${d.x}, ${d.y})`);
+    };
+
+    // Lasso outline while the user draws a selection
+    const lassoPath = container.append('path')
+        .attr('class', 'graph-lasso')
+        .attr('fill', withAlpha(graph.palette.foreground, 0.05))
+        .attr('stroke', withAlpha(graph.palette.foreground, 0.8))
+        .attr('stroke-width', 1.5)
+        .attr('stroke-dasharray', '4,3')
+        .attr('vector-effect', 'non-scaling-stroke')
+        .attr('pointer-events', 'none')
+        .attr('display', 'none');
+
+    graph.updateLasso = () => {
+        lassoPath
+            .attr('display', graph.lasso ? null : 'none')
+            .attr('d', graph.lasso ? `M${graph.lasso.points.join('L')}Z` : null);
+    };
+
+    // Keyboard focus ring, drawn around the node reached with the keyboard
+    const focusRing = container.append('circle')
+        .attr('class', 'node-keyboard-focus')
+        .attr('fill', 'none')
+        .attr('stroke', graph.palette.foreground)
+        .attr('stroke-width', 2)
+        .attr('stroke-dasharray', '4,3')
+        .attr('pointer-events', 'none')
+        .attr('display', 'none');
+
+    const positionFocusRing = () => {
+        const d = graph.keyboardNode;
+        focusRing
+            .attr('display', d && graph.keyboardActive ? null : 'none')
+            .attr('cx', d ? d.x : 0)
+            .attr('cy', d ? d.y : 0)
+            .attr('r', d ? nodeExtent(d) + 6 : 0);
+    };
+
+    const styleLinks = () => {
+        link.each(function(l) {
+            const style = linkStyle(graph, l);
+            d3.select(this)
+                .attr('stroke', style.stroke)
+                .attr('stroke-width', style.width)
+                .attr('stroke-dasharray', style.dash?.join(',') ?? 'none');
+        });
+    };
+
+    const shapeFill = d => graph.colorMode === 'community' ? nodeColor(graph, d) : `url(#${gradientId(d.type)})`;
+
+    const updateHulls = () => {
+        const hulls = graph.showHulls ? communityHulls(graph) : [];
+        const groups = hullLayer.selectAll('g.hull')
+            .data(hulls, h => h.community.id)
+            .join(enter => {
+                const g = enter.append('g').attr('class', 'hull');
+                g.append('path')
+                    .attr('stroke-width', 1.5)
+                    .attr('fill-opacity', 0.08)
+                    .attr('stroke-opacity', 0.3);
+                g.append('text')
+                    .attr('text-anchor', 'middle')
+                    .attr('font-size', '12px')
+                    .attr('font-weight', 'bold')
+                    .attr('fill-opacity', 0.8);
+                return g;
+            });
+
+        groups.select('path')
+            .attr('d', h => hullLine(h.points))
+            .attr('fill', h => h.community.color)
+            .attr('stroke', h => h.community.color);
+        groups.select('text')
+            .attr('x', h => h.labelX)
+            .attr('y', h => h.labelY)
+            .attr('fill', h => h.community.color)
+            .text(h => h.community.label);
+    };
+
+    graph.refresh = () => {
+        node.select('.node-pin')
+            .attr('display', d => d.pinned ? null : 'none')
+            .attr('cx', d => pinIndicatorOffset(d)[0])
+            .attr('cy', d => pinIndicatorOffset(d)[1])
+            .attr('stroke', d => nodeColor(graph, d));
+        node.select('.node-selection')
+            .attr('display', d => graph.selection.has(d) ? null : 'none')
+            .attr('r', d => nodeExtent(d) + 4);
+        node.select('.node-compare').each(function(d) {
+            const ring = compareRingStyle(graph, d);
+            d3.select(this)
+                .attr('display', ring ? null : 'none')
+                .attr('r', nodeExtent(d) + 8)
+                .attr('stroke', ring?.color ?? null)
+                .attr('stroke-width', ring?.width ?? null)
+                .attr('stroke-dasharray', ring?.dash?.join(',') ?? null);
+        });
+        nodeBody
+            .attr('opacity', d => nodeOpacity(graph, d))
+            .attr('transform', d => nodeScale(d) === 1 ? null : `scale(${nodeScale(d)})`);
+        nodeBody.selectAll('.node-circle, .node-poster').attr('stroke', d => nodeColor(graph, d));
+        nodeBody.selectAll('.node-circle').attr('fill', shapeFill);
+        nodeBody.selectAll('.node-poster').attr('fill', d => getNodeImageUrl(d) && graph.lodLevel === 'near' ? 'transparent' : shapeFill(d));
+        badges
+            .attr('transform', d => `translate(${typeBadgeOffset(d)})`)
+            .attr('opacity', d => nodeOpacity(graph, d));
+        styleLinks();
+        updateHulls();
+        positionFocusRing();
+        scheduleMinimap(graph);
+        scheduleLevelOfDetail(graph);
+    };
+
+    // Fade filtered nodes and links out (then remove them from layout) or back in
+    graph.updateVisibility = () => {
+        const fade = (selection, isVisible) => selection.each(function(d) {
+            const element = d3.select(this);
+            if (isVisible(d)) {
+                element.attr('display', null)
+                    .transition('visibility')
+                    .duration(300)
+                    .attr('opacity', 1);
+            } else if (element.attr('display') !== 'none') {
+                element.transition('visibility')
+                    .duration(300)
+                    .attr('opacity', 0)
+                    .on('end', () => element.attr('display', 'none'));
             }
         });
 
-    // Add circles for circular nodes without images (collections without cover, friends without avatar, contributors without profile)
-    node.filter(d => (d.type === 'collection' && !d.coverImagePath) || (d.type === 'friend' && !d.avatarUrl) || (d.type === 'contributor' && !d.profilePath))
+        fade(node, d => isNodeVisible(graph, d));
+        fade(link, l => isLinkVisible(graph, l));
+        linkHit.attr('display', l => isLinkVisible(graph, l) ? null : 'none');
+    };
+
+    // Show images, initials and labels for the current zoom level; only touch elements whose state changed
+    const labelState = new Map();
+    graph.applyLevelOfDetail = () => {
+        const lod = computeLevelOfDetail(graph);
+
+        if (lod.level !== graph.lodLevel) {
+            graph.lodLevel = lod.level;
+            images.attr('display', lod.level === 'near' ? null : 'none');
+            initials.attr('display', lod.level === 'far' ? 'none' : null);
+            badges.attr('display', lod.level === 'far' ? 'none' : null);
+            graph.refresh();
+        }
+
+        if (lod.level === 'near') {
+            images.filter(function(d) { return !this.hasAttribute('href') && lod.inView.has(d); })
+                .attr('href', function() { return this.getAttribute('data-src'); });
+        }
+
+        labels.each(function(d) {
+            const text = lod.labels.has(d) ? labelText(d, lod) : null;
+            const state = text && `${text}|${lod.fontSize}`;
+            if (labelState.get(d) === state) return;
+            labelState.set(d, state);
+            d3.select(this)
+                .attr('display', text ? null : 'none')
+                .attr('font-size', `${lod.fontSize}px`)
+                .text(text || '');
+        });
+    };
+
+    // Recolor what refresh leaves alone: gradients, labels, initials, badges and rings
+    graph.applyPalette = () => {
+        const { palette } = graph;
+        updateGradients(defs, gradientId, palette);
+        labels.attr('fill', palette.label);
+        nodeBody.selectAll('.node-initials').attr('fill', palette.foreground);
+        node.select('.node-pin').attr('fill', palette.foreground);
+        node.select('.node-selection').attr('stroke', palette.highlight);
+        colorSvgTypeBadges(badges, palette);
+        focusRing.attr('stroke', palette.foreground);
+        lassoPath
+            .attr('fill', withAlpha(palette.foreground, 0.05))
+            .attr('stroke', withAlpha(palette.foreground, 0.8));
+    };
+
+    // Recolor only what uses the highlight color: selection rings, highlighted links and shared compare rings
+    graph.applyHighlightColor = () => {
+        const { palette } = graph;
+        node.select('.node-selection').attr('stroke', palette.highlight);
+        if (graph.highlight) {
+            link.filter(l => graph.highlight.links.has(l)).attr('stroke', l => linkStyle(graph, l).stroke);
+        }
+        node.filter(d => graph.compare?.groups.get(d) === 'shared').select('.node-compare').attr('stroke', palette.highlight);
+    };
+
+    // Join added or removed nodes and links; new elements get the current level of detail
+    // and fade in with the next visibility update
+    graph.updateData = () => {
+        bindData();
+        positionElements();
+        graph.lodLevel = null;
+        graph.applyLevelOfDetail();
+    };
+
+    graph.nodeAtEvent = (event) => {
+        const element = event.target.closest?.('g.node');
+        return element ? d3.select(element).datum() : null;
+    };
+
+    // Click on background to deselect
+    svg.on('click', (event) => handleNodeClick(graph, event, null));
+
+    // Update positions on simulation tick
+    simulation.on('tick', () => {
+        positionElements();
+        if (graph.keyboardNode) positionFocusRing();
+        if (graph.showHulls) updateHulls();
+        notifyViewChange(graph);
+    });
+
+    graph.applyLevelOfDetail();
+}
+
+/**
+ * Append one line per link to a container
+ */
+function appendSvgLinks(container, links, graph) {
+    return styleSvgLinks(container.append('g')
+        .attr('class', 'links')
+        .selectAll('line')
+        .data(links)
+        .join('line'), graph);
+}
+
+/**
+ * Give link lines their resting style
+ */
+function styleSvgLinks(line, graph) {
+    return line
+        .attr('stroke', l => restingLinkStyle(graph, l).stroke)
+        .attr('stroke-width', l => restingLinkStyle(graph, l).width)
+        .attr('stroke-dasharray', l => linkAppearance(graph, l).dash?.join(',') ?? 'none');
+}
+
+/**
+ * Append the shapes, images and labels for each node group
+ */
+function appendSvgNodeShapes(node, gradientId, palette) {
+    // Add circles for circular nodes without images (collections without cover, friends without avatar,
+    // contributors without profile, and those whose image failed to load)
+    node.filter(d => !isPosterNode(d) && !getNodeImageUrl(d))
         .append('circle')
         .attr('r', d => nodeSizes[d.type])
-        .attr('fill', d => `url(#gradient-${d.type})`)
-        .attr('stroke', d => nodeColors[d.type])
+        .attr('fill', d => `url(#${gradientId(d.type)})`)
+        .attr('stroke', d => palette.nodes[d.type])
         .attr('stroke-width', 2)
         .attr('class', 'node-circle');
 
     // Add text for circular nodes without images
-    node.filter(d => (d.type === 'collection' && !d.coverImagePath) || (d.type === 'friend' && !d.avatarUrl) || (d.type === 'contributor' && !d.profilePath))
-        .append('text')
-        .attr('text-anchor', 'middle')
-        .attr('dy', '0.35em')
-        .attr('fill', 'white')
-        .attr('font-size', '10px')
-        .attr('font-weight', 'bold')
-        .text(d => getInitials(d.name));
+    appendSvgInitials(node.filter(d => !isPosterNode(d) && !getNodeImageUrl(d)).append('text'), palette);
 
     // Add circles for collections with cover images (as background/border)
-    node.filter(d => d.type === 'collection' && d.coverImagePath)
+    node.filter(d => d.type === 'collection' && getNodeImageUrl(d))
         .append('circle')
         .attr('r', nodeSizes.collection)
-        .attr('fill', `url(#gradient-collection)`)
-        .attr('stroke', nodeColors.collection)
+        .attr('fill', `url(#${gradientId('collection')})`)
+        .attr('stroke', palette.nodes.collection)
         .attr('stroke-width', 2)
         .attr('class', 'node-circle');
 
     // Add cover images for collections
-    node.filter(d => d.type === 'collection' && d.coverImagePath)
+    node.filter(d => d.type === 'collection' && getNodeImageUrl(d))
         .append('image')
-        .attr('href', d => `/images/collections${d.coverImagePath}`)
+        .attr('href', d => getNodeImageUrl(d))
         .attr('width', nodeSizes.collection * 2)
         .attr('height', nodeSizes.collection * 2)
         .attr('x', -nodeSizes.collection)
@@ -155,18 +1147,18 @@ export function initializeGraph(containerId, graphData, onNodeSelect, onNodeFocu
         .style('clip-path', `circle(${nodeSizes.collection}px at center)`);
 
     // Add circles for friends with avatars (as background/border)
-    node.filter(d => d.type === 'friend' && d.avatarUrl)
+    node.filter(d => d.type === 'friend' && getNodeImageUrl(d))
         .append('circle')
         .attr('r', nodeSizes.friend)
-        .attr('fill', `url(#gradient-friend)`)
-        .attr('stroke', nodeColors.friend)
+        .attr('fill', `url(#${gradientId('friend')})`)
+        .attr('stroke', palette.nodes.friend)
         .attr('stroke-width', 2)
         .attr('class', 'node-circle');
 
     // Add avatar images for friends
-    node.filter(d => d.type === 'friend' && d.avatarUrl)
+    node.filter(d => d.type === 'friend' && getNodeImageUrl(d))
         .append('image')
-        .attr('href', d => `/images/avatars${d.avatarUrl}`)
+        .attr('href', d => getNodeImageUrl(d))
         .attr('width', nodeSizes.friend * 2)
         .attr('height', nodeSizes.friend * 2)
         .attr('x', -nodeSizes.friend)
@@ -176,18 +1168,18 @@ export function initializeGraph(containerId, graphData, onNodeSelect, onNodeFocu
         .style('clip-path', `circle(${nodeSizes.friend}px at center)`);
 
     // Add circles for contributors with profile images (as background/border)
-    node.filter(d => d.type === 'contributor' && d.profilePath)
+    node.filter(d => d.type === 'contributor' && getNodeImageUrl(d))
         .append('circle')
         .attr('r', nodeSizes.contributor)
-        .attr('fill', `url(#gradient-contributor)`)
-        .attr('stroke', nodeColors.contributor)
+        .attr('fill', `url(#${gradientId('contributor')})`)
+        .attr('stroke', palette.nodes.contributor)
         .attr('stroke-width', 2)
         .attr('class', 'node-circle');
 
     // Add profile images for contributors
-    node.filter(d => d.type === 'contributor' && d.profilePath)
+    node.filter(d => d.type === 'contributor' && getNodeImageUrl(d))
         .append('image')
-        .attr('href', d => `/images/profiles${d.profilePath}`)
+        .attr('href', d => getNodeImageUrl(d))
         .attr('width', nodeSizes.contributor * 2)
         .attr('height', nodeSizes.contributor * 2)
         .attr('x', -nodeSizes.contributor)
@@ -204,15 +1196,15 @@ export function initializeGraph(containerId, graphData, onNodeSelect, onNodeFocu
         .attr('x', -20)
         .attr('y', -30)
         .attr('rx', 4)
-        .attr('fill', d => d.posterPath ? 'transparent' : `url(#gradient-${d.type})`)
-        .attr('stroke', d => nodeColors[d.type])
+        .attr('fill', d => getNodeImageUrl(d) ? 'transparent' : `url(#${gradientId(d.type)})`)
+        .attr('stroke', d => palette.nodes[d.type])
         .attr('stroke-width', 2)
         .attr('class', 'node-poster');
 
     // Add poster images for movie/series nodes
-    node.filter(d => (d.type === 'movie' || d.type === 'series') && d.posterPath)
+    node.filter(d => isPosterNode(d) && getNodeImageUrl(d))
         .append('image')
-        .attr('href', d => `/images/posters${d.posterPath}`)
+        .attr('href', d => getNodeImageUrl(d))
         .attr('width', 40)
         .attr('height', 60)
         .attr('x', -20)
@@ -222,184 +1214,3111 @@ export function initializeGraph(containerId, graphData, onNodeSelect, onNodeFocu
 
     // Add labels below nodes
     node.append('text')
+        .attr('class', 'node-label')
         .attr('text-anchor', 'middle')
-        .attr('dy', d => (d.type === 'movie' || d.type === 'series') ? 45 : 40)
-        .attr('fill', 'rgba(255, 255, 255, 0.8)')
+        .attr('dy', d => labelOffset(d))
+        .attr('fill', palette.label)
         .attr('font-size', '10px')
         .text(d => truncate(d.name, 12));
+}
 
-    // Add hover effects
-    node.on('mouseenter', function(event, d) {
-        d3.select(this).select('.node-circle, .node-poster')
-            .transition()
-            .duration(200)
-            .attr('stroke-width', 4);
-
-        // Highlight connected links
-        link.attr('stroke', l =>
-            l.source.id === d.id || l.target.id === d.id
-                ? 'rgba(255, 255, 255, 0.6)'
-                : 'rgba(255, 255, 255, 0.1)'
-        );
-    })
-    .on('mouseleave', function() {
-        d3.select(this).select('.node-circle, .node-poster')
-            .transition()
-            .duration(200)
-            .attr('stroke-width', 2);
+/**
+ * Style text elements as the initials shown on circular nodes without an image
+ */
+function appendSvgInitials(text, palette) {
+    return text
+        .attr('text-anchor', 'middle')
+        .attr('dy', '0.35em')
+        .attr('fill', palette.foreground)
+        .attr('font-size', '10px')
+        .attr('font-weight', 'bold')
+        .attr('class', 'node-initials')
+        .text(d => getInitials(d.name));
+}
 
-        link.attr('stroke', 'rgba(255, 255, 255, 0.2)');
-    });
+/**
+ * Append a badge to each node marking its type with a symbol
+ */
+function appendSvgTypeBadge(node, palette) {
+    const badge = node.append('g')
+        .attr('class', 'node-type-badge')
+        .attr('pointer-events', 'none');
 
-    // Click on background to deselect
-    svg.on('click', () => {
-        if (onNodeSelect) {
-            onNodeSelect(null);
+    badge.append('circle')
+        .attr('r', TYPE_BADGE_RADIUS)
+        .attr('stroke-width', 1.5);
+
+    badge.append('path')
+        .attr('d', d => d3.symbol(nodeTypeSymbols[d.type], TYPE_SYMBOL_SIZE)());
+
+    return colorSvgTypeBadges(badge, palette);
+}
+
+/**
+ * Color type badges: the symbol in its type's color on the background color
+ */
+function colorSvgTypeBadges(badge, palette) {
+    badge.select('circle')
+        .attr('fill', palette.background)
+        .attr('stroke', d => palette.nodes[d.type]);
+    badge.select('path')
+        .attr('fill', d => palette.nodes[d.type]);
+    return badge;
+}
+
+/**
+ * Render the graph onto a single canvas element, redrawn on each tick and zoom.
+ * Hit testing uses a quadtree over node positions so the interactions match the SVG renderer.
+ */
+function renderCanvas(graph) {
+    const { containerEl, width, height, simulation } = graph;
+    const dpr = window.devicePixelRatio || 1;
+
+    const canvas = d3.select(containerEl)
+        .append('canvas')
+        .attr('width', width * dpr)
+        .attr('height', height * dpr)
+        .attr('class', 'graph-canvas')
+        .style('display', 'block')
+        .style('width', `${width}px`)
+        .style('height', `${height}px`);
+
+    const canvasEl = canvas.node();
+    const ctx = canvasEl.getContext('2d');
+    const style = {
+        fontFamily: getComputedStyle(containerEl).fontFamily || 'sans-serif',
+        palette: graph.palette,
+        gradients: createCanvasGradients(ctx, graph.palette),
+        typeBadges: graph.options.typeBadges !== false,
+        colorOf: d => nodeColor(graph, d),
+        fillOf: (d, shape) => graph.colorMode === 'community' ? nodeColor(graph, d) : style.gradients[d.type][shape],
+        onImageSettled: (url) => {
+            if (failedImages.has(url)) reportImageFailure(graph, url);
+            scheduleDraw();
+        }
+    };
+
+    let quadtree = null;
+    let drawOrder = null;
+
+    // Opacity of nodes and links while they fade in or out after a filter change
+    const fades = new Map();
+    let shown = new Set([...graph.nodes, ...graph.links]);
+    const opacityOf = (element, isVisible) => fades.has(element) ? fades.get(element) : (isVisible ? 1 : 0);
+
+    function draw() {
+        graph.frame = null;
+        const { transform } = graph;
+
+        ctx.save();
+        ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+        ctx.translate(transform.x, transform.y);
+        ctx.scale(transform.k, transform.k);
+
+        // Only draw what is inside the viewport (with a margin for node extents)
+        const [x0, y0] = transform.invert([0, 0]);
+        const [x1, y1] = transform.invert([width, height]);
+        const margin = posterSize.height;
+        const isVisible = (x, y) => x > x0 - margin && x < x1 + margin && y > y0 - margin && y < y1 + margin;
+
+        if (graph.showHulls) {
+            drawCanvasHulls(ctx, communityHulls(graph), style.fontFamily);
+        }
+
+        drawCanvasLinks(ctx, graph.links, l => linkStyle(graph, l), l => opacityOf(l, isLinkVisible(graph, l)));
+
+        // Images are only requested for nodes drawn at the 'near' level, so they load as nodes scroll into view
+        const lod = computeLevelOfDetail(graph);
+        graph.lodLevel = lod.level;
+
+        for (const d of graph.nodes) {
+            const opacity = opacityOf(d, isNodeVisible(graph, d));
+            if (opacity === 0 || !isVisible(d.x, d.y)) continue;
+            ctx.globalAlpha = opacity * nodeOpacity(graph, d);
+            drawCanvasNode(ctx, d, style, d === graph.hoveredNode, lod);
+        }
+        ctx.globalAlpha = 1;
+
+        for (const d of graph.selection) {
+            if (isNodeVisible(graph, d) && isVisible(d.x, d.y)) drawCanvasSelectionRing(ctx, d, style.palette.highlight);
+        }
+
+        for (const d of graph.compare?.groups.keys() ?? []) {
+            if (isNodeVisible(graph, d) && isVisible(d.x, d.y)) drawCanvasCompareRing(ctx, d, compareRingStyle(graph, d));
+        }
+
+        if (graph.keyboardNode && graph.keyboardActive) {
+            drawCanvasFocusRing(ctx, graph.keyboardNode, style.palette.foreground);
+        }
+
+        if (graph.lasso) {
+            drawCanvasLasso(ctx, graph.lasso.points, transform.k, style.palette.foreground);
+        }
+
+        ctx.restore();
+        notifyViewChange(graph);
+    }
+
+    function scheduleDraw() {
+        if (graph.frame === null) {
+            graph.frame = requestAnimationFrame(draw);
+        }
+    }
+
+    // Find the topmost node under a point in screen coordinates
+    function nodeAt(point) {
+        if (!quadtree) {
+            quadtree = d3.quadtree(graph.nodes.filter(d => isNodeVisible(graph, d)), d => d.x, d => d.y);
+            drawOrder = new Map(graph.nodes.map((d, i) => [d, i]));
+        }
+        const [x, y] = graph.transform.invert(point);
+        const reach = posterSize.height / 2 * MAX_NODE_SCALE;
+        let found = null;
+
+        quadtree.visit((quad, qx0, qy0, qx1, qy1) => {
+            if (!quad.length) {
+                let leaf = quad;
+                do {
+                    const d = leaf.data;
+                    if (containsPoint(d, x - d.x, y - d.y) && (!found || drawOrder.get(d) > drawOrder.get(found))) {
+                        found = d;
+                    }
+                } while ((leaf = leaf.next));
+            }
+            return qx0 > x + reach || qx1 < x - reach || qy0 > y + reach || qy1 < y - reach;
+        });
+
+        return found;
+    }
+
+    // Find the visible link closest to a point in screen coordinates, within a few pixels
+    function linkAt(point) {
+        const [x, y] = graph.transform.invert(point);
+        const reach = 5 / graph.transform.k;
+        let found = null;
+        let best = reach;
+
+        for (const l of graph.links) {
+            if (!isLinkVisible(graph, l)) continue;
+            const distance = distanceToSegment(x, y, l.source, l.target);
+            if (distance < best) {
+                best = distance;
+                found = l;
+            }
+        }
+
+        return found;
+    }
+
+    // Add zoom behavior
+    const zoom = d3.zoom()
+        .scaleExtent([0.1, 4])
+        .filter(event => zoomFilter(graph, event))
+        .on('zoom', (event) => {
+            graph.transform = event.transform;
+            scheduleDraw();
+        })
+        .on('end', () => endCameraMove(graph));
+
+    graph.root = canvas;
+    graph.zoom = zoom;
+
+    // Drag is registered before zoom so grabbing a node does not pan the canvas.
+    // The subject keeps screen coordinates; the node follows the pointer in graph space.
+    canvas.call(d3.drag()
+        .container(canvasEl)
+        .subject(event => {
+            const d = nodeAt([event.x, event.y]);
+            return d && { node: d, x: event.x, y: event.y, moved: false };
+        })
+        .on('start', (event) => {
+            const d = event.subject.node;
+            if (!event.active) simulation.alphaTarget(0.3).restart();
+            const [x, y] = graph.transform.invert([event.x, event.y]);
+            event.subject.offset = [d.x - x, d.y - y];
+            d.fx = d.x;
+            d.fy = d.y;
+        })
+        .on('drag', (event) => {
+            const d = event.subject.node;
+            const [x, y] = graph.transform.invert([event.x, event.y]);
+            event.subject.moved = true;
+            d.fx = x + event.subject.offset[0];
+            d.fy = y + event.subject.offset[1];
+        })
+        .on('end', (event) => {
+            if (!event.active) simulation.alphaTarget(0);
+            endNodeDrag(graph, event.subject.node, event.subject.moved);
+        }));
+
+    // Double click on a node focuses it; on the background it falls through to zoom
+    canvas.on('dblclick', (event) => {
+        const d = nodeAt(d3.pointer(event, canvasEl));
+        if (d) {
+            event.stopImmediatePropagation();
+            handleNodeDoubleClick(graph, d);
+        }
+    });
+
+    canvas.call(zoom);
+
+    // Click selects the node under the pointer, or deselects on the background
+    canvas.on('click', (event) => {
+        handleNodeClick(graph, event, nodeAt(d3.pointer(event, canvasEl)));
+    });
+
+    // Hover highlights the node and its connected links; over a link, a tooltip explains it
+    canvas.on('mousemove', (event) => {
+        const point = d3.pointer(event, canvasEl);
+        const d = nodeAt(point);
+        const l = d ? null : linkAt(point);
+        if (d !== graph.hoveredNode || l !== graph.hoveredLink) {
+            if (d !== graph.hoveredNode) showNodeCard(graph, d);
+            graph.hoveredNode = d;
+            graph.hoveredLink = l;
+            canvas.style('cursor', d ? 'pointer' : null);
+            scheduleDraw();
+        }
+        showLinkTooltip(graph, l, point);
+    })
+    .on('mouseleave', () => {
+        showLinkTooltip(graph, null);
+        showNodeCard(graph, null);
+        if (graph.hoveredNode || graph.hoveredLink) {
+            graph.hoveredNode = null;
+            graph.hoveredLink = null;
+            canvas.style('cursor', null);
+            scheduleDraw();
+        }
+    });
+
+    graph.nodeAtEvent = (event) => nodeAt(d3.pointer(event, canvasEl));
+    graph.refresh = scheduleDraw;
+    graph.updateLasso = scheduleDraw;
+    graph.applyPalette = () => {
+        style.palette = graph.palette;
+        style.gradients = createCanvasGradients(ctx, graph.palette);
+    };
+    graph.applyHighlightColor = () => {
+        style.palette = graph.palette;
+        if (graph.selection.size > 0 || graph.highlight || graph.compare) scheduleDraw();
+    };
+
+    // Fade filtered nodes and links over 300ms; nodes and links added by an expansion fade in the same way
+    graph.updateVisibility = () => {
+        const elements = [
+            ...graph.nodes.map(d => [d, isNodeVisible(graph, d)]),
+            ...graph.links.map(l => [l, isLinkVisible(graph, l)])
+        ].filter(([element, visible]) => fades.has(element) || shown.has(element) !== visible);
+        const from = new Map(elements.map(([element]) => [element, opacityOf(element, shown.has(element))]));
+
+        shown = new Set([...graph.nodes.filter(d => isNodeVisible(graph, d)), ...graph.links.filter(l => isLinkVisible(graph, l))]);
+        quadtree = null;
+        if (graph.fadeTimer) graph.fadeTimer.stop();
+        graph.fadeTimer = d3.timer(elapsed => {
+            const t = d3.easeCubicInOut(Math.min(1, elapsed / 300));
+            elements.forEach(([element, visible]) => {
+                const start = from.get(element);
+                fades.set(element, start + ((visible ? 1 : 0) - start) * t);
+            });
+            if (t === 1) {
+                graph.fadeTimer.stop();
+                graph.fadeTimer = null;
+                fades.clear();
+            }
+            scheduleDraw();
+        });
+    };
+
+    // Positions change on every tick, so the quadtree is rebuilt lazily on the next hit test
+    simulation.on('tick', () => {
+        quadtree = null;
+        scheduleDraw();
+    });
+}
+
+/**
+ * Distance from a point to the segment between two nodes
+ */
+function distanceToSegment(x, y, a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, ((x - a.x) * dx + (y - a.y) * dy) / lengthSquared));
+    return Math.hypot(x - (a.x + t * dx), y - (a.y + t * dy));
+}
+
+/**
+ * Check whether a point (relative to the node center) lies inside the node's shape
+ */
+function containsPoint(d, dx, dy) {
+    const scale = nodeScale(d);
+    dx /= scale;
+    dy /= scale;
+    if (isPosterNode(d)) {
+        return Math.abs(dx) <= posterSize.width / 2 && Math.abs(dy) <= posterSize.height / 2;
+    }
+    const r = nodeSizes[d.type];
+    return dx * dx + dy * dy <= r * r;
+}
+
+/**
+ * Draw all links, batched into one path per stroke style
+ */
+function drawCanvasLinks(ctx, links, styleOf, opacityOf) {
+    const batches = new Map();
+
+    for (const l of links) {
+        const opacity = opacityOf(l);
+        if (opacity === 0) continue;
+
+        const { stroke, width, dash } = styleOf(l);
+        const alpha = +opacity.toFixed(2);
+        const key = `${stroke}|${width}|${alpha}|${dash}`;
+
+        if (!batches.has(key)) {
+            batches.set(key, { stroke, width, alpha, dash, links: [] });
+        }
+        batches.get(key).links.push(l);
+    }
+
+    for (const batch of batches.values()) {
+        ctx.globalAlpha = batch.alpha;
+        ctx.lineWidth = batch.width;
+        ctx.strokeStyle = batch.stroke;
+        ctx.setLineDash(batch.dash || []);
+        ctx.beginPath();
+        for (const l of batch.links) {
+            ctx.moveTo(l.source.x, l.source.y);
+            ctx.lineTo(l.target.x, l.target.y);
+        }
+        ctx.stroke();
+    }
+    ctx.setLineDash([]);
+    ctx.globalAlpha = 1;
+}
+
+/**
+ * Draw a single node: poster rectangle for titles, circle with avatar or initials otherwise
+ */
+function drawCanvasNode(ctx, d, style, isHovered, lod) {
+    const { fontFamily, palette } = style;
+    const color = style.colorOf(d);
+    const strokeWidth = isHovered ? 4 : 2;
+    const imageUrl = getNodeImageUrl(d);
+    const image = imageUrl && lod.level === 'near' ? getCanvasImage(imageUrl, style.onImageSettled) : null;
+
+    ctx.save();
+    ctx.translate(d.x, d.y);
+    ctx.save();
+    ctx.scale(nodeScale(d), nodeScale(d));
+
+    if (isPosterNode(d)) {
+        const { width, height, radius } = posterSize;
+
+        roundedRectPath(ctx, -width / 2, -height / 2, width, height, radius);
+        if (!image) {
+            ctx.fillStyle = style.fillOf(d, 'poster');
+            ctx.fill();
+        }
+        ctx.strokeStyle = color;
+        ctx.lineWidth = strokeWidth;
+        ctx.stroke();
+
+        if (image) {
+            ctx.save();
+            ctx.clip();
+            drawImageCover(ctx, image, -width / 2, -height / 2, width, height);
+            ctx.restore();
+        }
+    } else {
+        const r = nodeSizes[d.type];
+
+        ctx.beginPath();
+        ctx.arc(0, 0, r, 0, 2 * Math.PI);
+        ctx.fillStyle = style.fillOf(d, 'circle');
+        ctx.fill();
+        ctx.strokeStyle = color;
+        ctx.lineWidth = strokeWidth;
+        ctx.stroke();
+
+        if (image) {
+            ctx.save();
+            ctx.clip();
+            drawImageCover(ctx, image, -r, -r, r * 2, r * 2);
+            ctx.restore();
+        } else if (!imageUrl && lod.level !== 'far') {
+            ctx.fillStyle = palette.foreground;
+            ctx.font = `bold 10px ${fontFamily}`;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(getInitials(d.name), 0, 0);
+        }
+    }
+
+    // Label below the node
+    if (lod.labels.has(d)) {
+        ctx.fillStyle = palette.label;
+        ctx.font = `${lod.fontSize}px ${fontFamily}`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(labelText(d, lod), 0, labelOffset(d));
+    }
+    ctx.restore();
+
+    if (d.pinned) {
+        const [px, py] = pinIndicatorOffset(d);
+        ctx.beginPath();
+        ctx.arc(px, py, 5, 0, 2 * Math.PI);
+        ctx.fillStyle = palette.foreground;
+        ctx.fill();
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.stroke();
+    }
+
+    if (style.typeBadges && lod.level !== 'far') {
+        const [bx, by] = typeBadgeOffset(d);
+        ctx.translate(bx, by);
+        ctx.beginPath();
+        ctx.arc(0, 0, TYPE_BADGE_RADIUS, 0, 2 * Math.PI);
+        ctx.fillStyle = palette.background;
+        ctx.fill();
+        ctx.strokeStyle = palette.nodes[d.type];
+        ctx.lineWidth = 1.5;
+        ctx.stroke();
+        ctx.beginPath();
+        d3.symbol(nodeTypeSymbols[d.type], TYPE_SYMBOL_SIZE).context(ctx)();
+        ctx.fillStyle = palette.nodes[d.type];
+        ctx.fill();
+    }
+
+    ctx.restore();
+}
+
+/**
+ * Draw community hulls with their labels
+ */
+function drawCanvasHulls(ctx, hulls, fontFamily) {
+    const line = hullLine.context(ctx);
+
+    hulls.forEach(({ community, points, labelX, labelY }) => {
+        ctx.beginPath();
+        line(points);
+        ctx.fillStyle = community.color;
+        ctx.strokeStyle = community.color;
+        ctx.lineWidth = 1.5;
+        ctx.globalAlpha = 0.08;
+        ctx.fill();
+        ctx.globalAlpha = 0.3;
+        ctx.stroke();
+
+        ctx.globalAlpha = 0.8;
+        ctx.font = `bold 12px ${fontFamily}`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'alphabetic';
+        ctx.fillText(community.label, labelX, labelY);
+    });
+
+    hullLine.context(null);
+    ctx.globalAlpha = 1;
+}
+
+/**
+ * Draw the ring marking a selected node
+ */
+function drawCanvasSelectionRing(ctx, d, color) {
+    ctx.beginPath();
+    ctx.arc(d.x, d.y, nodeExtent(d) + 4, 0, 2 * Math.PI);
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 2.5;
+    ctx.stroke();
+}
+
+/**
+ * Draw the ring marking a node's part in a comparison
+ */
+function drawCanvasCompareRing(ctx, d, ring) {
+    ctx.beginPath();
+    ctx.arc(d.x, d.y, nodeExtent(d) + 8, 0, 2 * Math.PI);
+    ctx.strokeStyle = ring.color;
+    ctx.lineWidth = ring.width;
+    ctx.setLineDash(ring.dash || []);
+    ctx.stroke();
+    ctx.setLineDash([]);
+}
+
+/**
+ * Draw the outline of a lasso being drawn, keeping its stroke width constant on screen
+ */
+function drawCanvasLasso(ctx, points, scale, color) {
+    ctx.beginPath();
+    points.forEach(([x, y], i) => i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y));
+    ctx.closePath();
+    ctx.fillStyle = withAlpha(color, 0.05);
+    ctx.fill();
+    ctx.strokeStyle = withAlpha(color, 0.8);
+    ctx.lineWidth = 1.5 / scale;
+    ctx.setLineDash([4 / scale, 3 / scale]);
+    ctx.stroke();
+    ctx.setLineDash([]);
+}
+
+/**
+ * Draw the keyboard focus ring around a node
+ */
+function drawCanvasFocusRing(ctx, d, color) {
+    ctx.beginPath();
+    ctx.arc(d.x, d.y, nodeExtent(d) + 6, 0, 2 * Math.PI);
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 2;
+    ctx.setLineDash([4, 3]);
+    ctx.stroke();
+    ctx.setLineDash([]);
+}
+
+/**
+ * Create canvas equivalents of the SVG radial gradients, in node-local coordinates
+ */
+function createCanvasGradients(ctx, palette) {
+    const gradients = {};
+
+    // Mirrors the SVG gradient: center at 50%/30% of the bounding box, radius 70%
+    const radial = (w, h) =>
+        ctx.createRadialGradient(0, -h * 0.2, 0, 0, -h * 0.2, 0.7 * Math.sqrt((w * w + h * h) / 2));
+
+    Object.entries(palette.nodes).forEach(([type, color]) => {
+        const r = nodeSizes[type];
+        const circle = radial(r * 2, r * 2);
+        const poster = radial(posterSize.width, posterSize.height);
+
+        [circle, poster].forEach(gradient => {
+            gradient.addColorStop(0, d3.color(color).brighter(0.5).formatRgb());
+            gradient.addColorStop(1, d3.color(color).darker(0.3).formatRgb());
+        });
+
+        gradients[type] = { circle, poster };
+    });
+
+    return gradients;
+}
+
+/**
+ * Trace a rounded rectangle path
+ */
+function roundedRectPath(ctx, x, y, width, height, radius) {
+    ctx.beginPath();
+    ctx.moveTo(x + radius, y);
+    ctx.arcTo(x + width, y, x + width, y + height, radius);
+    ctx.arcTo(x + width, y + height, x, y + height, radius);
+    ctx.arcTo(x, y + height, x, y, radius);
+    ctx.arcTo(x, y, x + width, y, radius);
+    ctx.closePath();
+}
+
+/**
+ * Draw an image so it covers the target box (like preserveAspectRatio="xMidYMid slice")
+ */
+function drawImageCover(ctx, image, x, y, width, height) {
+    const scale = Math.max(width / image.naturalWidth, height / image.naturalHeight);
+    const sw = width / scale;
+    const sh = height / scale;
+    const sx = (image.naturalWidth - sw) / 2;
+    const sy = (image.naturalHeight - sh) / 2;
+    ctx.drawImage(image, sx, sy, sw, sh, x, y, width, height);
+}
+
+/**
+ * Get a loaded image for canvas drawing, starting the load on first request.
+ * Returns null until the image is ready; onSettled is called with the URL once it loaded or failed
+ * (failed URLs are added to failedImages).
+ */
+function getCanvasImage(url, onSettled) {
+    let entry = canvasImages.get(url);
+    if (!entry) {
+        entry = { image: new Image(), waiting: new Set() };
+        const settle = () => {
+            entry.waiting.forEach(callback => callback(url));
+            entry.waiting.clear();
+        };
+        entry.image.onload = settle;
+        entry.image.onerror = () => {
+            failedImages.add(url);
+            canvasImages.delete(url);
+            settle();
+        };
+        entry.image.src = url;
+        canvasImages.set(url, entry);
+    }
+
+    const { image } = entry;
+    if (image.complete && image.naturalWidth) return image;
+    if (!image.complete) entry.waiting.add(onSettled);
+    return null;
+}
+
+/**
+ * Radius of the smallest circle enclosing a node's shape
+ */
+function nodeExtent(d) {
+    const extent = isPosterNode(d) ? Math.hypot(posterSize.width, posterSize.height) / 2 : nodeSizes[d.type];
+    return extent * nodeScale(d);
+}
+
+/**
+ * Size factor of a node set by the size metric (1 when sizes are fixed)
+ */
+function nodeScale(d) {
+    return d.scale ?? 1;
+}
+
+/**
+ * Whether a node is drawn as a poster rectangle
+ */
+function isPosterNode(d) {
+    return d.type === 'movie' || d.type === 'series';
+}
+
+/**
+ * Get the image URL for a node, or null when it has none or its image failed to load
+ */
+function getNodeImageUrl(d) {
+    const url = nodeImageSource(d);
+    return url && !failedImages.has(url) ? url : null;
+}
+
+/**
+ * The image URL a node's data points to, whether or not it loads
+ */
+function nodeImageSource(d) {
+    switch (d.type) {
+        case 'movie':
+        case 'series':
+            return d.posterPath ? `/images/posters${d.posterPath}` : null;
+        case 'friend':
+            return d.avatarUrl ? `/images/avatars${d.avatarUrl}` : null;
+        case 'contributor':
+            return d.profilePath ? `/images/profiles${d.profilePath}` : null;
+        case 'collection':
+            return d.coverImagePath ? `/images/collections${d.coverImagePath}` : null;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Remember that an image failed to load and report it to options.onImageError, once per URL and graph
+ */
+function reportImageFailure(graph, url) {
+    failedImages.add(url);
+    if (graph.missingImages.has(url)) return;
+
+    const nodes = graph.nodes.filter(d => nodeImageSource(d) === url);
+    graph.missingImages.set(url, nodes);
+    console.debug('Graph image failed to load:', url);
+    graph.options.onImageError?.({ url, nodes });
+}
+
+/**
+ * Report the images of this graph's nodes that already failed in an earlier graph, since they are not requested again
+ */
+function reportKnownImageFailures(graph) {
+    graph.nodes.forEach(d => {
+        const url = nodeImageSource(d);
+        if (url && failedImages.has(url)) reportImageFailure(graph, url);
+    });
+}
+
+/**
+ * Build links from decoded edges. Parallel edges of one relationship between the same two nodes
+ * merge into a single link weighted by their count.
+ */
+function buildLinks(edges) {
+    const merged = new Map();
+
+    edges.forEach(({ source, target, detail }) => {
+        const key = `${edgeKey(source, target)}|${detail.relationship}`;
+        const link = merged.get(key);
+
+        if (link) {
+            link.weight += 1;
+            link.details.push(detail);
+        } else {
+            merged.set(key, {
+                id: key,
+                source,
+                target,
+                relationship: detail.relationship,
+                weight: 1,
+                details: [detail]
+            });
+        }
+    });
+
+    return Array.from(merged.values()).map(l => ({ ...l, role: primaryRole(l.details) }));
+}
+
+/**
+ * Log a graph data problem when no onDiagnostic callback is given
+ */
+function logDiagnostic({ severity, path, message }) {
+    const log = severity === 'error' ? console.warn : console.debug;
+    log(`Graph data ${severity} at ${path || 'payload'}: ${message}`);
+}
+
+/**
+ * The most prominent contributor role among a link's edges (earliest in contributorRoles), or null for other relationships
+ */
+function primaryRole(details) {
+    const roles = details.map(detail => detail.role).filter(role => contributorRoles.includes(role));
+    if (roles.length === 0) return null;
+    return roles.reduce((a, b) => contributorRoles.indexOf(b) < contributorRoles.indexOf(a) ? b : a);
+}
+
+/**
+ * Add or recolor the gradient definitions for node fills
+ */
+function updateGradients(defs, gradientId, palette) {
+    const gradient = defs.selectAll('radialGradient')
+        .data(Object.entries(palette.nodes), ([type]) => type)
+        .join(enter => {
+            const added = enter.append('radialGradient')
+                .attr('id', ([type]) => gradientId(type))
+                .attr('cx', '50%')
+                .attr('cy', '30%')
+                .attr('r', '70%');
+            added.append('stop').attr('offset', '0%');
+            added.append('stop').attr('offset', '100%');
+            return added;
+        });
+
+    gradient.select('stop[offset="0%"]')
+        .attr('stop-color', ([, color]) => d3.color(color).brighter(0.5));
+    gradient.select('stop[offset="100%"]')
+        .attr('stop-color', ([, color]) => d3.color(color).darker(0.3));
+}
+
+/**
+ * Create drag behavior for nodes
+ */
+function drag(graph) {
+    const { simulation } = graph;
+    let moved = false;
+
+    function dragstarted(event) {
+        if (!event.active) simulation.alphaTarget(0.3).restart();
+        moved = false;
+        event.subject.fx = event.subject.x;
+        event.subject.fy = event.subject.y;
+    }
+
+    function dragged(event) {
+        moved = true;
+        event.subject.fx = event.x;
+        event.subject.fy = event.y;
+    }
+
+    function dragended(event) {
+        if (!event.active) simulation.alphaTarget(0);
+        endNodeDrag(graph, event.subject, moved);
+    }
+
+    return d3.drag()
+        .on('start', dragstarted)
+        .on('drag', dragged)
+        .on('end', dragended);
+}
+
+/**
+ * Make the graph usable with a keyboard and a screen reader: the zoom surface becomes
+ * focusable, arrow keys walk along edges, and a visually hidden adjacency list mirrors the graph.
+ */
+function setupAccessibility(graph) {
+    const { containerEl, containerId } = graph;
+    const instructionsId = `${containerId}-graph-instructions`;
+
+    graph.root
+        .attr('tabindex', 0)
+        .attr('role', 'application')
+        .attr('aria-roledescription', 'relationship graph')
+        .attr('aria-describedby', instructionsId)
+        .on('focus.keyboard', () => {
+            // Only show the focus ring for keyboard focus, not when a click focuses the graph
+            graph.keyboardActive = matchesFocusVisible(graph.root.node());
+            if (!graph.keyboardNode) {
+                setKeyboardNode(graph, nodeNearestViewportCenter(graph));
+            } else {
+                announce(graph, describeNode(graph, graph.keyboardNode));
+                graph.refresh();
+            }
+        })
+        .on('blur.keyboard', () => {
+            graph.keyboardActive = false;
+            graph.refresh();
+        })
+        .on('keydown.keyboard', (event) => handleGraphKeydown(graph, event));
+
+    const hidden = d3.select(containerEl)
+        .append('div')
+        .attr('class', 'sr-only graph-accessibility');
+
+    hidden.append('p')
+        .attr('id', instructionsId)
+        .text('Use the arrow keys to move between connected nodes. Press Enter to select a node, ' +
+            'Shift+Enter to focus the graph on it, Shift+F10 or the context menu key for more actions, ' +
+            'and plus or minus to zoom.');
+
+    graph.announcer = hidden.append('div')
+        .attr('aria-live', 'polite')
+        .attr('aria-atomic', 'true');
+
+    graph.accessibilityEl = hidden;
+    renderAdjacencyList(graph);
+}
+
+/**
+ * Label the graph with its size and mirror it as a visually hidden adjacency list
+ * (rendered again when nodes are expanded or collapsed)
+ */
+function renderAdjacencyList(graph) {
+    const { nodes, links } = graph;
+    graph.root.attr('aria-label', `Relationship graph with ${nodes.length} nodes and ${links.length} connections`);
+    graph.accessibilityEl.select('ul.graph-adjacency').remove();
+
+    // Adjacency list: every node with the nodes it is connected to
+    const items = graph.accessibilityEl.append('ul')
+        .attr('class', 'graph-adjacency')
+        .attr('aria-label', 'Graph nodes and their connections')
+        .selectAll('li')
+        .data(nodes)
+        .join('li');
+
+    items.append('span')
+        .text(d => describeNode(graph, d));
+
+    const connections = items.append('ul')
+        .selectAll('li')
+        .data(d => (graph.adjacency.get(d.id) || []))
+        .join('li')
+        .text(e => `${describeLinkDetails(e.link).join(', ')}: ${e.node.name} (${nodeTypeLabels[e.node.type]})`);
+
+    // Keep the list in step with the filters
+    graph.updateAccessibility = () => {
+        items.attr('hidden', d => isNodeVisible(graph, d) ? null : '');
+        connections.attr('hidden', e => isLinkVisible(graph, e.link) ? null : '');
+        items.select('span').text(d => describeNode(graph, d));
+    };
+    graph.updateAccessibility();
+}
+
+/**
+ * Describe a node's name, type and connections, e.g.
+ * "Heat, Movie. 3 connections: 2 friends, 1 contributor."
+ */
+function describeNode(graph, d) {
+    const neighbors = getNeighbors(graph, d);
+    const label = `${d.name}, ${nodeTypeLabels[d.type]}.`;
+    if (neighbors.length === 0) return `${label} No connections.`;
+
+    const counts = d3.rollups(neighbors, v => v.length, n => n.type)
+        .map(([type, count]) => `${count} ${nodeTypeLabels[type].toLowerCase()}${count === 1 || type === 'series' ? '' : 's'}`);
+
+    return `${label} ${neighbors.length} connection${neighbors.length === 1 ? '' : 's'}: ${counts.join(', ')}.`;
+}
+
+/**
+ * Handle a key press while the graph has focus
+ */
+function handleGraphKeydown(graph, event) {
+    const d = graph.keyboardNode;
+    const { onNodeSelect, onNodeFocus } = graph.callbacks;
+    graph.keyboardActive = true;
+
+    if (arrowDirections[event.key]) {
+        event.preventDefault();
+        moveKeyboardFocus(graph, arrowDirections[event.key]);
+    } else if (event.key === 'Enter' && d) {
+        event.preventDefault();
+        if (event.shiftKey) {
+            if (onNodeFocus) onNodeFocus(d);
+        } else {
+            setSelection(graph, [d]);
+            if (onNodeSelect) onNodeSelect(d);
+        }
+    } else if ((event.key === 'ContextMenu' || (event.key === 'F10' && event.shiftKey)) && d) {
+        event.preventDefault();
+        openContextMenu(graph, d);
+    } else if (event.key === 'Escape' && (graph.highlight || graph.pathPicking || graph.comparePicking)) {
+        event.preventDefault();
+        clearPath(graph);
+        clearSearch(graph);
+        clearCompare(graph);
+    } else if (event.key === '+' || event.key === '=') {
+        event.preventDefault();
+        graph.root.transition().duration(200).call(graph.zoom.scaleBy, 1.25);
+    } else if (event.key === '-' || event.key === '_') {
+        event.preventDefault();
+        graph.root.transition().duration(200).call(graph.zoom.scaleBy, 0.8);
+    }
+}
+
+/**
+ * Move keyboard focus to the neighbor that lies closest to the given direction
+ */
+function moveKeyboardFocus(graph, [dirX, dirY]) {
+    const current = graph.keyboardNode;
+    if (!current) {
+        setKeyboardNode(graph, nodeNearestViewportCenter(graph));
+        return;
+    }
+
+    let best = null;
+    let bestScore = -Infinity;
+
+    getNeighbors(graph, current).forEach(n => {
+        const dx = n.x - current.x;
+        const dy = n.y - current.y;
+        const distance = Math.hypot(dx, dy) || 1;
+        const alignment = (dx * dirX + dy * dirY) / distance;
+
+        // Only neighbors within 90 degrees of the arrow; prefer well aligned, then close ones
+        if (alignment <= 0) return;
+        const score = alignment - distance / 10000;
+        if (score > bestScore) {
+            best = n;
+            bestScore = score;
+        }
+    });
+
+    if (best) {
+        setKeyboardNode(graph, best);
+    } else {
+        announce(graph, `No connection in that direction from ${current.name}.`);
+    }
+}
+
+/**
+ * Make a node the keyboard-focused node, keep it in view and announce it
+ */
+function setKeyboardNode(graph, d) {
+    graph.keyboardNode = d;
+    graph.refresh();
+    if (!d) return;
+
+    announce(graph, describeNode(graph, d));
+
+    // Pan when the node is outside the visible area
+    const [x, y] = graph.transform.apply([d.x, d.y]);
+    const margin = 60;
+    if (x < margin || y < margin || x > graph.width - margin || y > graph.height - margin) {
+        graph.root.transition()
+            .duration(300)
+            .call(graph.zoom.translateTo, d.x, d.y);
+    }
+}
+
+/**
+ * Find the node closest to the center of the visible area
+ */
+function nodeNearestViewportCenter(graph) {
+    const [cx, cy] = graph.transform.invert([graph.width / 2, graph.height / 2]);
+    return d3.least(graph.nodes.filter(d => isNodeVisible(graph, d)), d => (d.x - cx) ** 2 + (d.y - cy) ** 2) ?? null;
+}
+
+/**
+ * Whether an element is focused in a way the browser would show a focus ring for
+ */
+function matchesFocusVisible(element) {
+    try {
+        return element.matches(':focus-visible');
+    } catch (e) {
+        return true;
+    }
+}
+
+/**
+ * Announce a message through the graph's live region
+ */
+function announce(graph, message) {
+    if (graph.announcer) {
+        graph.announcer.text(message);
+    }
+}
+
+/**
+ * Opacity of a node given the current highlight
+ */
+function nodeOpacity(graph, d) {
+    return graph.highlight && !graph.highlight.nodes.has(d) ? DIMMED_NODE_OPACITY : 1;
+}
+
+/**
+ * Stroke color and width of a link given the current highlight and hovered node
+ */
+function linkStyle(graph, l) {
+    const { highlight, hoveredNode, hoveredLink } = graph;
+    const touchesHovered = hoveredNode && (l.source === hoveredNode || l.target === hoveredNode);
+    const { color, dash } = linkAppearance(graph, l);
+    const width = linkWidth(l);
+    const stroke = alpha => withAlpha(color, alpha);
+
+    if (highlight) {
+        if (highlight.links.has(l)) {
+            const color = graph.palette[highlight.linkColors?.get(l) ?? 'highlight'];
+            return { stroke: withAlpha(color, 0.9), width: Math.max(3, width), dash };
+        }
+        return { stroke: stroke(touchesHovered ? 0.4 : 0.05), width, dash };
+    }
+
+    if (hoveredLink) {
+        return l === hoveredLink ? { stroke: stroke(0.9), width: width + 1, dash } : { stroke: stroke(0.1), width, dash };
+    }
+
+    if (hoveredNode) {
+        return { stroke: stroke(touchesHovered ? 0.6 : 0.1), width, dash };
+    }
+
+    return restingLinkStyle(graph, l);
+}
+
+/**
+ * Style of a link when nothing is hovered or highlighted; role-colored links are a little brighter
+ */
+function restingLinkStyle(graph, l) {
+    const { color, dash } = linkAppearance(graph, l);
+    return { stroke: withAlpha(color, l.role ? 0.4 : 0.2), width: linkWidth(l), dash };
+}
+
+/**
+ * Color and dash pattern of a link, by contributor role or else by relationship
+ */
+function linkAppearance(graph, l) {
+    const key = [l.role, l.relationship].find(k => k in linkDashes) ?? 'Other';
+    return { color: graph.palette.links[key], dash: linkDashes[key] };
+}
+
+/**
+ * A palette color with the given opacity, as an rgba() string
+ */
+function withAlpha(color, alpha) {
+    if (!colorChannels.has(color)) {
+        // An animated theme color passes through many values; start over rather than keep them all
+        if (colorChannels.size > 256) colorChannels.clear();
+        const { r, g, b } = d3.rgb(color);
+        colorChannels.set(color, `${r}, ${g}, ${b}`);
+    }
+    return `rgba(${colorChannels.get(color)}, ${alpha})`;
+}
+
+/**
+ * Stroke width of a link, growing with the number of edges merged into it
+ */
+function linkWidth(l) {
+    return Math.min(MAX_LINK_WIDTH, 1.5 * Math.sqrt(l.weight || 1));
+}
+
+/**
+ * One line per distinct reason two nodes are connected, e.g. "Actor as Cobb" or "Watched together ×3"
+ */
+function describeLinkDetails(l) {
+    const counts = d3.rollup(l.details || [{ relationship: l.relationship }], v => v.length, detail => {
+        switch (detail.relationship) {
+            case 'WatchedWith': return 'Watched together';
+            case 'WorkedOn':
+                if (detail.character) return `${roleLabels.Actor} as ${detail.character}`;
+                if (detail.department) return detail.department;
+                return roleLabels[detail.role] || 'Worked on';
+            case 'InCollection': return 'In collection';
+            case 'BelongsToCollection': return 'Belongs to collection';
+            default: return detail.relationship;
+        }
+    });
+
+    return Array.from(counts, ([label, count]) => count > 1 ? `${label} ×${count}` : label);
+}
+
+/**
+ * Show the tooltip explaining a link next to the pointer, or hide it with a null link
+ */
+function showLinkTooltip(graph, l, [x, y] = [0, 0]) {
+    if (!l) {
+        graph.linkTooltip?.style('display', 'none');
+        return;
+    }
+
+    if (!graph.linkTooltip) {
+        if (getComputedStyle(graph.containerEl).position === 'static') {
+            graph.containerEl.style.position = 'relative';
+        }
+        graph.linkTooltip = d3.select(graph.containerEl)
+            .append('div')
+            .attr('class', 'graph-link-tooltip glass rounded-lg px-3 py-2 text-xs absolute pointer-events-none')
+            .attr('role', 'tooltip')
+            .style('white-space', 'nowrap');
+    }
+
+    const tooltip = graph.linkTooltip.style('display', null);
+    tooltip.selectAll('*').remove();
+    tooltip.append('div')
+        .attr('class', 'font-semibold')
+        .text(`${l.source.name} — ${l.target.name}`);
+    tooltip.selectAll('div.link-detail')
+        .data(describeLinkDetails(l))
+        .join('div')
+        .attr('class', 'link-detail opacity-80')
+        .text(text => text);
+
+    // Keep the tooltip inside the container
+    const element = tooltip.node();
+    const left = Math.min(x + 12, graph.containerEl.clientWidth - element.offsetWidth - 4);
+    const top = Math.min(y + 12, graph.containerEl.clientHeight - element.offsetHeight - 4);
+    tooltip.style('left', `${Math.max(4, left)}px`).style('top', `${Math.max(4, top)}px`);
+}
+
+/**
+ * Show the hover card for a node, or hide it with null. The card shows the full name, type,
+ * a larger image, what a contributor is known for and the connections per relationship.
+ */
+function showNodeCard(graph, d) {
+    if (d === graph.cardNode) return;
+    graph.cardNode = d;
+
+    if (!d) {
+        graph.nodeCard?.style('display', 'none');
+        return;
+    }
+
+    if (!graph.nodeCard) {
+        if (getComputedStyle(graph.containerEl).position === 'static') {
+            graph.containerEl.style.position = 'relative';
+        }
+        graph.nodeCard = d3.select(graph.containerEl)
+            .append('div')
+            .attr('class', 'graph-node-card glass rounded-xl p-3 text-xs absolute pointer-events-none')
+            .attr('aria-hidden', 'true')
+            .style('width', `${NODE_CARD_WIDTH}px`);
+    }
+
+    const card = graph.nodeCard.style('display', null);
+    card.selectAll('*').remove();
+
+    const header = card.append('div').attr('class', 'flex gap-3 items-start');
+    const imageUrl = getNodeImageUrl(d);
+    const poster = isPosterNode(d);
+    const imageSize = poster ? { width: 64, height: 96 } : { width: 56, height: 56 };
+
+    const image = header.append('div')
+        .attr('class', `flex-shrink-0 overflow-hidden flex items-center justify-center font-bold text-white ${poster ? 'rounded-md' : 'rounded-full'}`)
+        .style('width', `${imageSize.width}px`)
+        .style('height', `${imageSize.height}px`)
+        .style('background', nodeColor(graph, d));
+    if (imageUrl) {
+        image.append('img')
+            .attr('src', imageUrl)
+            .attr('alt', '')
+            .attr('class', 'w-full h-full object-cover')
+            .on('error', () => {
+                reportImageFailure(graph, imageUrl);
+                image.text(getInitials(d.name));
+            });
+    } else {
+        image.text(getInitials(d.name));
+    }
+
+    const title = header.append('div').attr('class', 'min-w-0');
+    title.append('div')
+        .attr('class', 'font-semibold text-sm break-words')
+        .text(d.name);
+    title.append('div')
+        .attr('class', 'opacity-70')
+        .style('color', nodeColor(graph, d))
+        .text(nodeTypeLabels[d.type]);
+    if (d.type === 'contributor' && d.knownFor) {
+        title.append('div')
+            .attr('class', 'opacity-70 mt-1')
+            .text(`Known for ${d.knownFor}`);
+    }
+
+    // Connections per relationship, over the links the filters currently show
+    const counts = d3.rollups(
+        (graph.adjacency.get(d.id) || []).filter(e => isLinkVisible(graph, e.link)),
+        v => v.length,
+        e => e.link.relationship
+    );
+
+    card.append('div')
+        .attr('class', 'mt-2 space-y-0.5')
+        .selectAll('div')
+        .data(counts.length > 0 ? counts : [[null, 0]])
+        .join('div')
+        .attr('class', 'flex justify-between gap-2')
+        .call(row => row.append('span')
+            .attr('class', 'opacity-70 capitalize')
+            .text(([relationship]) => relationship ? relationshipLabels[relationship] || relationship : 'No visible connections'))
+        .call(row => row.append('span')
+            .text(([relationship, count]) => relationship ? count : ''));
+
+    positionNodeCard(graph);
+}
+
+/**
+ * Place the hover card beside its node in screen space, flipping sides and clamping
+ * so it stays inside the container
+ */
+function positionNodeCard(graph) {
+    const d = graph.cardNode;
+    if (!d || !graph.nodeCard) return;
+
+    const element = graph.nodeCard.node();
+    const [x, y] = graph.transform.apply([d.x, d.y]);
+    const offset = nodeExtent(d) * graph.transform.k + 12;
+    const width = graph.containerEl.clientWidth;
+    const height = graph.containerEl.clientHeight;
+    const cardWidth = element.offsetWidth || NODE_CARD_WIDTH;
+    const cardHeight = element.offsetHeight;
+
+    let left = x + offset;
+    if (left + cardWidth > width - 4) left = x - offset - cardWidth;
+    left = Math.max(4, Math.min(left, width - cardWidth - 4));
+    const top = Math.max(4, Math.min(y - cardHeight / 2, height - cardHeight - 4));
+
+    graph.nodeCard.style('left', `${left}px`).style('top', `${top}px`);
+}
+
+/**
+ * Pointer gestures on top of clicks, drags and zoom: long press and lasso. The click that
+ * ends either gesture is swallowed so it does not also select or deselect.
+ */
+function setupPointerGestures(graph) {
+    const element = graph.root.node();
+
+    // A new press starts fresh, so a click that never came can't swallow a later one
+    element.addEventListener('pointerdown', () => {
+        graph.swallowClick = false;
+    }, true);
+
+    setupTouchGestures(graph, element);
+    setupLasso(graph, element);
+
+    element.addEventListener('click', (event) => {
+        if (graph.swallowClick) {
+            graph.swallowClick = false;
+            event.stopImmediatePropagation();
+        }
+    }, true);
+
+    // Right click on a node opens its context menu
+    element.addEventListener('contextmenu', (event) => {
+        const d = graph.nodeAtEvent(event);
+        if (!d) return;
+        event.preventDefault();
+        if (!graph.touchPressActive?.()) {
+            openContextMenu(graph, d, d3.pointer(event, graph.containerEl));
+        }
+    });
+}
+
+/**
+ * Touch has no hover or reliable double click: a tap selects a node and highlights it as hover would,
+ * a long press focuses it on release (like double click), and holding on opens the context menu
+ */
+function setupTouchGestures(graph, element) {
+    let press = null;
+
+    const cancel = () => {
+        if (press) {
+            clearTimeout(press.longTimer);
+            clearTimeout(press.menuTimer);
+        }
+        press = null;
+    };
+
+    element.addEventListener('pointerdown', (event) => {
+        cancel();
+        if (event.pointerType === 'mouse') return;
+
+        const d = graph.nodeAtEvent(event);
+        if (!d) {
+            setTouchHover(graph, null);
+            return;
+        }
+
+        const point = d3.pointer(event, graph.containerEl);
+        press = {
+            node: d,
+            x: event.clientX,
+            y: event.clientY,
+            long: false,
+            longTimer: setTimeout(() => {
+                press.long = true;
+                setTouchHover(graph, d);
+            }, LONG_PRESS_DURATION),
+            menuTimer: setTimeout(() => {
+                cancel();
+                graph.swallowClick = true;
+                openContextMenu(graph, d, point);
+            }, CONTEXT_MENU_DURATION)
+        };
+    });
+
+    element.addEventListener('pointermove', (event) => {
+        if (press && Math.hypot(event.clientX - press.x, event.clientY - press.y) > 8) cancel();
+    });
+
+    // The click that follows a tap selects the node
+    element.addEventListener('pointerup', () => {
+        if (press?.long) {
+            graph.swallowClick = true;
+            handleNodeDoubleClick(graph, press.node);
+        } else if (press) {
+            setTouchHover(graph, press.node);
+        }
+        cancel();
+    });
+    element.addEventListener('pointercancel', cancel);
+
+    graph.cancelLongPress = cancel;
+    graph.touchPressActive = () => press !== null;
+}
+
+/**
+ * Highlight a touched node and its links and show its card, as hovering does with a mouse
+ */
+function setTouchHover(graph, d) {
+    graph.hoveredNode = d;
+    showNodeCard(graph, d);
+    graph.refresh();
+}
+
+/**
+ * Context menu actions offered by default; options.nodeActions can change or extend them
+ */
+function defaultNodeActions(graph, d) {
+    const { onNodeSelect, onNodeFocus } = graph.callbacks;
+    const actions = [{
+        id: 'open-detail',
+        label: 'Open detail',
+        run: n => {
+            setSelection(graph, [n]);
+            if (onNodeSelect) onNodeSelect(n);
+        }
+    }];
+
+    if (onNodeFocus) {
+        actions.push({ id: 'focus', label: 'Focus here', run: n => onNodeFocus(n) });
+    }
+
+    actions.push(compareAction(graph, d));
+
+    actions.push(
+        { id: 'hide', label: 'Hide node', run: n => setFilterEntry(graph, graph.hiddenNodes, n.id, false) },
+        { id: 'pin', label: d.pinned ? 'Unpin' : 'Pin', run: n => setPinned(graph, n.id, !n.pinned) }
+    );
+
+    return actions;
+}
+
+/**
+ * The context menu's compare action: compares with the other selected node or the node picked before,
+ * or else starts picking with this node
+ */
+function compareAction(graph, d) {
+    const selected = Array.from(graph.selection);
+    const other = selected.length === 2 && selected.includes(d)
+        ? selected.find(n => n !== d)
+        : graph.comparePicking?.first;
+
+    if (other && other !== d) {
+        return {
+            id: 'compare',
+            label: `Compare with ${other.name}`,
+            run: n => {
+                graph.comparePicking = null;
+                compareNodes(graph, other.id, n.id);
+            }
+        };
+    }
+
+    return {
+        id: 'compare',
+        label: 'Compare with…',
+        run: n => {
+            graph.comparePicking = { first: n };
+            announce(graph, `Pick the node to compare ${n.name} with.`);
+        }
+    };
+}
+
+/**
+ * Open the context menu of a node at a point in container coordinates (by default at the node).
+ * Arrow keys move between the actions; Escape, a click elsewhere or choosing an action closes it.
+ */
+function openContextMenu(graph, d, point = graph.transform.apply([d.x, d.y])) {
+    closeContextMenu(graph);
+
+    const defaults = defaultNodeActions(graph, d);
+    const actions = graph.options.nodeActions ? graph.options.nodeActions(d, defaults) : defaults;
+    if (!actions || actions.length === 0) return;
+
+    if (getComputedStyle(graph.containerEl).position === 'static') {
+        graph.containerEl.style.position = 'relative';
+    }
+
+    const menu = d3.select(graph.containerEl)
+        .append('div')
+        .attr('class', 'graph-context-menu glass rounded-xl p-1 text-sm absolute z-10 flex flex-col')
+        .attr('role', 'menu')
+        .attr('aria-label', `Actions for ${d.name}`)
+        .on('keydown', (event) => handleContextMenuKeydown(graph, event))
+        .on('contextmenu', (event) => event.preventDefault());
+
+    const items = menu.selectAll('button')
+        .data(actions)
+        .join('button')
+        .attr('type', 'button')
+        .attr('role', 'menuitem')
+        .attr('class', 'text-left whitespace-nowrap px-3 py-2 rounded-lg hover:bg-white/10 focus:bg-white/10 outline-none')
+        .text(action => action.label)
+        .on('click', (event, action) => {
+            event.stopPropagation();
+            closeContextMenu(graph, { restoreFocus: true });
+            action.run?.(d);
+        });
+
+    // Keep the menu inside the container
+    const element = menu.node();
+    const x = Math.max(0, Math.min(point[0], graph.width - element.offsetWidth));
+    const y = Math.max(0, Math.min(point[1], graph.height - element.offsetHeight));
+    menu.style('left', `${x}px`).style('top', `${y}px`);
+
+    const closeOnOutside = (event) => {
+        if (!element.contains(event.target)) closeContextMenu(graph);
+    };
+    document.addEventListener('pointerdown', closeOnOutside, true);
+
+    graph.contextMenu = { element, node: d, closeOnOutside };
+    items.node()?.focus();
+}
+
+/**
+ * Close the node context menu, optionally returning keyboard focus to the graph
+ */
+function closeContextMenu(graph, { restoreFocus = false } = {}) {
+    const menu = graph.contextMenu;
+    if (!menu) return;
+
+    graph.contextMenu = null;
+    document.removeEventListener('pointerdown', menu.closeOnOutside, true);
+    menu.element.remove();
+    if (restoreFocus) graph.root?.node().focus();
+}
+
+/**
+ * Move between context menu actions with the arrow keys, Home and End; Escape and Tab close the menu
+ */
+function handleContextMenuKeydown(graph, event) {
+    const items = Array.from(graph.contextMenu.element.querySelectorAll('[role="menuitem"]'));
+    const index = items.indexOf(document.activeElement);
+    const moves = {
+        ArrowDown: (index + 1) % items.length,
+        ArrowUp: (index - 1 + items.length) % items.length,
+        Home: 0,
+        End: items.length - 1
+    };
+
+    if (event.key in moves) {
+        event.preventDefault();
+        items[moves[event.key]].focus();
+    } else if (event.key === 'Escape' || event.key === 'Tab') {
+        event.preventDefault();
+        event.stopPropagation();
+        closeContextMenu(graph, { restoreFocus: true });
+    }
+}
+
+/**
+ * Draw a lasso with shift-drag (or any drag in lasso mode) on the background; the visible nodes
+ * inside it become the selection, or are added to it when shift is held
+ */
+function setupLasso(graph, element) {
+    const pointOf = event => graph.transform.invert(d3.pointer(event, element));
+
+    element.addEventListener('pointerdown', (event) => {
+        if (event.button || !(event.shiftKey || graph.lassoMode) || graph.nodeAtEvent(event)) return;
+
+        graph.lasso = { points: [pointOf(event)], pointerId: event.pointerId };
+        element.setPointerCapture?.(event.pointerId);
+        graph.updateLasso();
+    });
+
+    element.addEventListener('pointermove', (event) => {
+        if (!graph.lasso || graph.lasso.pointerId !== event.pointerId) return;
+        graph.lasso.points.push(pointOf(event));
+        graph.updateLasso();
+    });
+
+    const finish = (event) => {
+        const lasso = graph.lasso;
+        if (!lasso || lasso.pointerId !== event.pointerId) return;
+
+        graph.lasso = null;
+        graph.updateLasso();
+        if (lasso.points.length < 3 || event.type === 'pointercancel') return;
+
+        const inside = graph.nodes.filter(d => isNodeVisible(graph, d) && d3.polygonContains(lasso.points, [d.x, d.y]));
+        setSelection(graph, event.shiftKey ? [...graph.selection, ...inside] : inside);
+        graph.swallowClick = true;
+    };
+
+    element.addEventListener('pointerup', finish);
+    element.addEventListener('pointercancel', finish);
+}
+
+/**
+ * Zoom and pan with d3's default gestures, except while a lasso is being drawn
+ */
+function zoomFilter(graph, event) {
+    return !graph.lasso && (!event.ctrlKey || event.type === 'wheel') && !event.button;
+}
+
+/**
+ * Replace the selection and report it to onSelectionChange
+ */
+function setSelection(graph, nodes) {
+    graph.selection = new Set(nodes);
+    graph.refresh();
+    graph.options.onSelectionChange?.(Array.from(graph.selection));
+    reportViewState(graph);
+}
+
+/**
+ * Add a node to the selection or remove it
+ */
+function toggleSelection(graph, d) {
+    const selection = new Set(graph.selection);
+    if (selection.has(d)) {
+        selection.delete(d);
+    } else {
+        selection.add(d);
+    }
+    setSelection(graph, selection);
+}
+
+/**
+ * Double click on a node: toggles its expansion when a neighborProvider is configured,
+ * otherwise focuses it
+ */
+function handleNodeDoubleClick(graph, d) {
+    const { neighborProvider, expandOnDoubleClick } = graph.options;
+
+    if (neighborProvider && expandOnDoubleClick !== false) {
+        toggleExpand(graph, d.id);
+    } else if (graph.callbacks.onNodeFocus) {
+        graph.callbacks.onNodeFocus(d);
+    }
+}
+
+/**
+ * Route a click on a node (or on the background when d is null):
+ * picks path endpoints while path picking, otherwise selects
+ */
+function handleNodeClick(graph, event, d) {
+    const { onNodeSelect } = graph.callbacks;
+
+    if (graph.pathPicking) {
+        if (!d) {
+            clearPath(graph);
+        } else if (!graph.pathPicking.source) {
+            graph.pathPicking.source = d;
+            announce(graph, `Path from ${d.name}. Pick the end node.`);
+        } else {
+            const { source, options } = graph.pathPicking;
+            graph.pathPicking = null;
+            findPath(graph, source.id, d.id, options);
+        }
+        return;
+    }
+
+    if (graph.comparePicking) {
+        if (!d) {
+            clearCompare(graph);
+        } else if (!graph.comparePicking.first) {
+            graph.comparePicking.first = d;
+            announce(graph, `Pick the node to compare ${d.name} with.`);
+        } else if (d !== graph.comparePicking.first) {
+            const { first } = graph.comparePicking;
+            graph.comparePicking = null;
+            compareNodes(graph, first.id, d.id);
+        }
+        return;
+    }
+
+    // Shift-click toggles a node in the selection; shift on the background keeps it
+    if (event?.shiftKey) {
+        if (d) toggleSelection(graph, d);
+        return;
+    }
+
+    setSelection(graph, d ? [d] : []);
+    if (onNodeSelect) {
+        onNodeSelect(d);
+    }
+}
+
+/**
+ * Find the k shortest paths between two nodes over the visible links, highlight them,
+ * fit the camera to them and report the hop sequences
+ */
+function findPath(graph, sourceId, targetId, { k = 1 } = {}) {
+    const nodeById = new Map(graph.nodes.map(d => [d.id, d]));
+    const links = graph.links.filter(l => isLinkVisible(graph, l));
+    const linkByEdge = new Map();
+    links.forEach(l => {
+        const key = edgeKey(l.source.id, l.target.id);
+        if (!linkByEdge.has(key)) linkByEdge.set(key, l);
+    });
+
+    const paths = nodeById.has(sourceId) && nodeById.has(targetId)
+        ? kShortestPaths(buildNeighborMap(links), sourceId, targetId, k)
+        : [];
+
+    const hops = paths.map(path => path.map((id, i) => ({
+        node: nodeById.get(id),
+        relationship: i === 0 ? null : linkByEdge.get(edgeKey(path[i - 1], id)).relationship
+    })));
+
+    if (paths.length > 0) {
+        const nodes = new Set(paths.flat().map(id => nodeById.get(id)));
+        const pathLinks = new Set(paths.flatMap(path =>
+            path.slice(1).map((id, i) => linkByEdge.get(edgeKey(path[i], id)))));
+
+        graph.highlight = { kind: 'path', nodes, links: pathLinks };
+        fitToNodes(graph, Array.from(nodes));
+
+        const [shortest] = hops;
+        announce(graph, `Path with ${shortest.length - 1} hops: ${shortest.map(h => h.node.name).join(', ')}.`);
+    } else {
+        graph.highlight = null;
+        announce(graph, 'These nodes are not connected.');
+    }
+
+    graph.refresh();
+    graph.options.onPathFound?.(hops);
+    return hops;
+}
+
+/**
+ * Leave path picking and remove a path highlight
+ */
+function clearPath(graph) {
+    graph.pathPicking = null;
+    if (graph.highlight?.kind === 'path') {
+        graph.highlight = null;
+        graph.refresh();
+    }
+}
+
+/**
+ * Compare two nodes over the visible links: group their neighbors into those only the first has, only the
+ * second has and those both share, highlight the groups, hold the two anchors apart with the shared
+ * neighbors pulled between them, and report the groups to onCompare
+ */
+function compareNodes(graph, firstId, secondId, { fit = true } = {}) {
+    const first = graph.nodes.find(d => d.id === firstId);
+    const second = graph.nodes.find(d => d.id === secondId);
+    const hadCompare = graph.compare !== null;
+    releaseCompare(graph);
+
+    if (!first || !second || first === second) {
+        console.debug('Cannot compare graph nodes:', firstId, secondId);
+        if (hadCompare) {
+            graph.refresh();
+            graph.options.onCompare?.(null);
+        }
+        return null;
+    }
+
+    // Links from each anchor to its neighbors, colored by the anchor's side (as palette keys, so they follow palette changes)
+    const sideLinks = (anchor, color) => {
+        const neighbors = new Map();
+        (graph.adjacency.get(anchor.id) || [])
+            .filter(e => isLinkVisible(graph, e.link))
+            .forEach(e => {
+                if (!neighbors.has(e.node)) neighbors.set(e.node, []);
+                neighbors.get(e.node).push(e.link);
+                linkColors.set(e.link, color);
+            });
+        return neighbors;
+    };
+    const linkColors = new Map();
+    const firstNeighbors = sideLinks(first, 'compareFirst');
+    const secondNeighbors = sideLinks(second, 'compareSecond');
+
+    const groups = new Map([[first, 'first'], [second, 'second']]);
+    firstNeighbors.forEach((_, d) => {
+        if (!groups.has(d)) groups.set(d, secondNeighbors.has(d) ? 'shared' : 'onlyFirst');
+    });
+    secondNeighbors.forEach((_, d) => {
+        if (!groups.has(d)) groups.set(d, 'onlySecond');
+    });
+    (firstNeighbors.get(second) || []).forEach(l => linkColors.set(l, 'highlight'));
+
+    const byName = (a, b) => a.name.localeCompare(b.name);
+    const members = group => Array.from(groups.keys()).filter(d => groups.get(d) === group).sort(byName);
+    const summary = {
+        first,
+        second,
+        onlyFirst: members('onlyFirst'),
+        onlySecond: members('onlySecond'),
+        shared: members('shared')
+    };
+    summary.counts = {
+        onlyFirst: summary.onlyFirst.length,
+        onlySecond: summary.onlySecond.length,
+        shared: summary.shared.length
+    };
+
+    graph.compare = { first, second, groups, held: holdCompareAnchors(graph, first, second), summary };
+    graph.highlight = { kind: 'compare', nodes: new Set(groups.keys()), links: new Set(linkColors.keys()), linkColors };
+
+    // Pull the shared neighbors toward the point between the anchors
+    const [midX, midY] = [(first.fx + second.fx) / 2, (first.fy + second.fy) / 2];
+    const pull = d => groups.get(d) === 'shared' ? COMPARE_PULL : 0;
+    graph.simulation
+        .force('compareX', d3.forceX(midX).strength(pull))
+        .force('compareY', d3.forceY(midY).strength(pull))
+        .alpha(0.5)
+        .restart();
+
+    if (fit) fitToNodes(graph, Array.from(groups.keys()));
+    graph.refresh();
+    announce(graph, `${first.name} and ${second.name} share ${summary.counts.shared} neighbor${summary.counts.shared === 1 ? '' : 's'}; `
+        + `${summary.counts.onlyFirst} only ${first.name}, ${summary.counts.onlySecond} only ${second.name}.`);
+    graph.options.onCompare?.(summary);
+
+    return summary;
+}
+
+/**
+ * Fix the compared nodes in place, spread at least COMPARE_SPACING apart unless the user pinned one.
+ * Returns the anchors held here, to release when the comparison ends.
+ */
+function holdCompareAnchors(graph, first, second) {
+    const anchors = [first, second];
+    const held = anchors.filter(d => !d.pinned);
+
+    if (held.length === 2) {
+        const [mx, my] = [(first.x + second.x) / 2, (first.y + second.y) / 2];
+        const distance = Math.hypot(second.x - first.x, second.y - first.y);
+        const [ux, uy] = distance > 0 ? [(second.x - first.x) / distance, (second.y - first.y) / distance] : [1, 0];
+        const half = Math.max(distance, COMPARE_SPACING) / 2;
+        first.fx = mx - ux * half;
+        first.fy = my - uy * half;
+        second.fx = mx + ux * half;
+        second.fy = my + uy * half;
+    } else {
+        held.forEach(d => {
+            d.fx = d.x;
+            d.fy = d.y;
+        });
+    }
+
+    return held;
+}
+
+/**
+ * Undo a comparison's forces, anchors and highlight without reporting it
+ */
+function releaseCompare(graph) {
+    if (!graph.compare) return;
+
+    graph.compare.held.filter(d => !d.pinned).forEach(d => {
+        d.fx = null;
+        d.fy = null;
+    });
+    graph.simulation.force('compareX', null).force('compareY', null);
+    if (graph.highlight?.kind === 'compare') {
+        graph.highlight = null;
+    }
+    graph.compare = null;
+}
+
+/**
+ * End the comparison (or compare picking) and report it to onCompare
+ */
+function clearCompare(graph) {
+    graph.comparePicking = null;
+    if (!graph.compare) return;
+
+    releaseCompare(graph);
+    graph.simulation.alpha(0.3).restart();
+    graph.refresh();
+    graph.options.onCompare?.(null);
+}
+
+/**
+ * Ring style of a node in the comparison: anchors get a solid ring in their side's color, neighbors of
+ * one side a dashed (first) or dotted (second) ring, shared neighbors a solid ring in the highlight color
+ */
+function compareRingStyle(graph, d) {
+    const { palette } = graph;
+    switch (graph.compare?.groups.get(d)) {
+        case 'first': return { color: palette.compareFirst, width: 4, dash: null };
+        case 'second': return { color: palette.compareSecond, width: 4, dash: null };
+        case 'onlyFirst': return { color: palette.compareFirst, width: 2, dash: [6, 3] };
+        case 'onlySecond': return { color: palette.compareSecond, width: 2, dash: [1, 3] };
+        case 'shared': return { color: palette.highlight, width: 3, dash: null };
+        default: return null;
+    }
+}
+
+/**
+ * Fuzzy-match the visible nodes' names against a query, best match first, and highlight them.
+ * An empty query clears the search.
+ */
+function searchNodes(graph, query, { fly = true } = {}) {
+    if (!query || !query.trim()) {
+        clearSearch(graph);
+        return searchResult(graph);
+    }
+
+    const matches = graph.nodes
+        .filter(d => isNodeVisible(graph, d))
+        .map(d => ({ node: d, score: fuzzyScore(query, d.name) }))
+        .filter(m => m.score !== null)
+        .sort((a, b) => b.score - a.score)
+        .map(m => m.node);
+
+    graph.search = { query, matches, index: matches.length > 0 ? 0 : -1 };
+    graph.highlight = { kind: 'search', nodes: new Set(matches), links: new Set() };
+    showSearchMatch(graph, fly);
+
+    return reportSearch(graph);
+}
+
+/**
+ * Move to the next (1) or previous (-1) search match
+ */
+function stepSearch(graph, direction) {
+    const search = graph.search;
+    if (search && search.matches.length > 0) {
+        search.index = (search.index + direction + search.matches.length) % search.matches.length;
+        showSearchMatch(graph, true);
+    }
+    return reportSearch(graph);
+}
+
+/**
+ * Ring the current search match, announce it and optionally fly the camera to it
+ */
+function showSearchMatch(graph, fly) {
+    const { matches, index } = graph.search;
+    const current = matches[index] ?? null;
+
+    graph.keyboardNode = current;
+    graph.keyboardActive = current !== null;
+    graph.refresh();
+
+    if (current) {
+        announce(graph, `Match ${index + 1} of ${matches.length}: ${describeNode(graph, current)}`);
+        if (fly) centerOnNode(graph, current.id);
+    } else {
+        announce(graph, `No nodes match ${graph.search.query}.`);
+    }
+}
+
+/**
+ * Remove the search and its highlight
+ */
+function clearSearch(graph) {
+    if (!graph.search) return;
+    graph.search = null;
+    if (graph.highlight?.kind === 'search') {
+        graph.highlight = null;
+    }
+    graph.refresh();
+    reportSearch(graph);
+}
+
+/**
+ * Pass the search state to onSearchChange and return it
+ */
+function reportSearch(graph) {
+    const result = searchResult(graph);
+    graph.options.onSearchChange?.(result);
+    return result;
+}
+
+/**
+ * The search state as reported to callers
+ */
+function searchResult(graph) {
+    const { query = '', matches = [], index = -1 } = graph.search || {};
+    return { query, matches, index, current: matches[index] ?? null, total: matches.length };
+}
+
+/**
+ * Score how well a name matches a query, or null if it does not match. Substrings score
+ * highest (prefixes and word starts first); otherwise the query's characters must appear
+ * in order, and large gaps between them lower the score.
+ */
+function fuzzyScore(query, text) {
+    const q = normalizeText(query);
+    const t = normalizeText(text || '');
+    if (!q) return null;
+
+    const at = t.indexOf(q);
+    if (at === 0) return 1000 - t.length;
+    if (at > 0) return (/[^a-z0-9]/.test(t[at - 1]) ? 800 : 600) - at;
+
+    let score = 300;
+    let from = 0;
+    for (const ch of q) {
+        const i = t.indexOf(ch, from);
+        if (i < 0) return null;
+        score -= i - from;
+        from = i + 1;
+    }
+    return score >= 300 - 5 * q.length ? score : null;
+}
+
+/**
+ * Lower-case text without diacritics, so "amelie" finds "Amélie"
+ */
+function normalizeText(text) {
+    return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+}
+
+/**
+ * Color of a node: by type, or by community when coloring by community
+ */
+function nodeColor(graph, d) {
+    if (graph.colorMode === 'community') {
+        const community = graph.communityOf.get(d);
+        if (community) return community.color;
+    }
+    return graph.palette.nodes[d.type];
+}
+
+/**
+ * Re-read the palette and recolor the graph if it changed. The highlight follows the projector color,
+ * which ambientColor.js animates, so a change to it alone only recolors what is highlighted.
+ */
+function updatePalette(graph) {
+    const palette = readPalette(graph.containerEl, graph.paletteChoice);
+    if (samePalette(palette, graph.palette)) return;
+
+    const highlightOnly = samePalette({ ...palette, highlight: null }, { ...graph.palette, highlight: null });
+    graph.palette = palette;
+    if (highlightOnly) {
+        graph.applyHighlightColor();
+        return;
+    }
+
+    graph.communities?.forEach(community => {
+        community.color = palette.communities[community.id % palette.communities.length];
+    });
+    graph.applyPalette();
+    graph.updateLegend?.();
+    graph.refresh();
+}
+
+/**
+ * Detect communities over the visible graph, label each after its most connected member
+ * and report them to onCommunitiesChange
+ */
+function runCommunityDetection(graph, options) {
+    const nodes = graph.nodes.filter(d => isNodeVisible(graph, d));
+    const links = graph.links.filter(l => isLinkVisible(graph, l));
+    const membership = detectCommunities(nodes.map(d => d.id), links, options);
+    const palette = graph.palette.communities;
+
+    // Links inside a community, per member, to find its most connected member
+    const internalDegree = new Map();
+    links.forEach(l => {
+        if (membership.get(l.source.id) !== membership.get(l.target.id)) return;
+        internalDegree.set(l.source, (internalDegree.get(l.source) || 0) + 1);
+        internalDegree.set(l.target, (internalDegree.get(l.target) || 0) + 1);
+    });
+
+    const groups = d3.groups(nodes, d => membership.get(d.id)).sort((a, b) => a[0] - b[0]);
+
+    graph.communities = groups.map(([id, members]) => {
+        const topMember = d3.greatest(members, d => internalDegree.get(d) || 0);
+        return {
+            id,
+            label: members.length > 1 ? `${topMember.name} cluster` : topMember.name,
+            color: palette[id % palette.length],
+            size: members.length,
+            members,
+            topMember
+        };
+    });
+
+    graph.communityOf = new Map(graph.communities.flatMap(c => c.members.map(d => [d, c])));
+    graph.refresh();
+    graph.options.onCommunitiesChange?.(graph.communities);
+
+    return graph.communities;
+}
+
+/**
+ * Compute the padded convex hull of each visible community with at least two members
+ */
+function communityHulls(graph) {
+    if (!graph.communities) return [];
+
+    return graph.communities.flatMap(community => {
+        const members = community.members.filter(d => isNodeVisible(graph, d));
+        if (members.length < 2) return [];
+
+        // Sample points around each member so the hull wraps the node shapes
+        const points = members.flatMap(d => {
+            const r = nodeExtent(d) + 12;
+            return d3.range(8).map(i => {
+                const angle = i * Math.PI / 4;
+                return [d.x + r * Math.cos(angle), d.y + r * Math.sin(angle)];
+            });
+        });
+
+        const hull = d3.polygonHull(points);
+        if (!hull) return [];
+
+        return [{
+            community,
+            points: hull,
+            labelX: d3.mean(hull, p => p[0]),
+            labelY: d3.min(hull, p => p[1]) - 8
+        }];
+    });
+}
+
+/**
+ * Highlight the members of a community and the links between them
+ */
+function highlightCommunity(graph, communityId) {
+    const community = graph.communities?.find(c => c.id === communityId);
+    if (!community) {
+        if (graph.highlight?.kind === 'community') {
+            graph.highlight = null;
+            graph.refresh();
+        }
+        return;
+    }
+
+    const members = new Set(community.members);
+    graph.highlight = {
+        kind: 'community',
+        nodes: members,
+        links: new Set(graph.links.filter(l => members.has(l.source) && members.has(l.target)))
+    };
+    graph.refresh();
+}
+
+/**
+ * Whether a node passes the current type filter
+ */
+function isNodeVisible(graph, d) {
+    return !graph.hiddenTypes.has(d.type) && !graph.hiddenNodes.has(d.id);
+}
+
+/**
+ * Whether a link passes the relationship filter and both its endpoints are visible
+ */
+function isLinkVisible(graph, l) {
+    return !graph.hiddenRelationships.has(l.relationship)
+        && isNodeVisible(graph, l.source)
+        && isNodeVisible(graph, l.target);
+}
+
+/**
+ * Add or remove an entry of a filter set and apply the change
+ */
+function setFilterEntry(graph, hidden, key, visible) {
+    if (visible === !hidden.has(key)) return;
+    if (visible) {
+        hidden.delete(key);
+    } else {
+        hidden.add(key);
+    }
+    applyFilters(graph);
+}
+
+/**
+ * Flip an entry of a filter set; returns whether the entry is now visible
+ */
+function toggleFilterEntry(graph, hidden, key) {
+    const visible = hidden.has(key);
+    setFilterEntry(graph, hidden, key, visible);
+    return visible;
+}
+
+/**
+ * Apply the current filters: only visible nodes and links take part in the simulation,
+ * which is reheated so the remaining graph re-settles. Hidden nodes keep their last position.
+ */
+function applyFilters(graph) {
+    const nodes = graph.nodes.filter(d => isNodeVisible(graph, d));
+    const links = graph.links.filter(l => isLinkVisible(graph, l));
+
+    graph.simulation.nodes(nodes);
+    graph.simulation.force('link').links(links);
+    applyLayoutForces(graph);
+
+    // Hidden nodes drop out of the search matches
+    if (graph.search) {
+        searchNodes(graph, graph.search.query, { fly: false });
+    }
+    graph.simulation.alpha(0.5).restart();
+
+    if (graph.keyboardNode && !isNodeVisible(graph, graph.keyboardNode)) {
+        graph.keyboardNode = null;
+    }
+
+    graph.updateVisibility();
+    graph.refresh();
+    graph.updateLegend?.();
+    graph.updateAccessibility?.();
+    reportViewState(graph);
+}
+
+/**
+ * Render a clickable legend with one entry per node type and relationship, each with its count.
+ * Clicking an entry toggles it.
+ */
+function renderLegend(graph) {
+    const { containerEl, nodes, links } = graph;
+    const typeCounts = d3.rollup(nodes, v => v.length, d => d.type);
+    const relationshipCounts = d3.rollup(links, v => v.length, l => l.relationship);
+
+    if (getComputedStyle(containerEl).position === 'static') {
+        containerEl.style.position = 'relative';
+    }
+
+    graph.legendEl?.remove();
+    const legend = d3.select(containerEl)
+        .append('div')
+        .attr('class', 'graph-legend glass rounded-xl p-3 text-xs absolute bottom-4 left-4 space-y-1')
+        .attr('role', 'group')
+        .attr('aria-label', 'Graph legend and filters');
+    graph.legendEl = legend;
+
+    const typeEntries = legend.selectAll('button.legend-type')
+        .data(Object.keys(nodeTypeLabels).filter(type => typeCounts.has(type)))
+        .join('button')
+        .attr('type', 'button')
+        .attr('class', 'legend-type flex items-center gap-2 w-full text-left transition-opacity')
+        .on('click', (event, type) => {
+            event.stopPropagation();
+            toggleFilterEntry(graph, graph.hiddenTypes, type);
+        });
+
+    // The type's badge symbol, so the legend does not rely on color either
+    const typeSwatches = typeEntries.append('svg')
+        .attr('width', 12)
+        .attr('height', 12)
+        .attr('viewBox', [-6, -6, 12, 12])
+        .attr('class', 'flex-shrink-0')
+        .attr('aria-hidden', 'true')
+        .append('path')
+        .attr('d', type => d3.symbol(nodeTypeSymbols[type], 64)());
+
+    typeEntries.append('span')
+        .attr('class', 'flex-1')
+        .text(type => nodeTypeLabels[type]);
+
+    typeEntries.append('span')
+        .attr('class', 'text-base-content/60 tabular-nums')
+        .text(type => typeCounts.get(type));
+
+    const relationshipEntries = legend.selectAll('button.legend-relationship')
+        .data(Object.keys(relationshipLabels).filter(rel => relationshipCounts.has(rel)))
+        .join('button')
+        .attr('type', 'button')
+        .attr('class', 'legend-relationship flex items-center gap-2 w-full text-left transition-opacity')
+        .on('click', (event, relationship) => {
+            event.stopPropagation();
+            toggleFilterEntry(graph, graph.hiddenRelationships, relationship);
+        });
+
+    relationshipEntries.append('svg')
+        .attr('width', 12)
+        .attr('height', 12)
+        .attr('class', 'flex-shrink-0')
+        .append('line')
+        .attr('x1', 0)
+        .attr('y1', 6)
+        .attr('x2', 12)
+        .attr('y2', 6)
+        .attr('stroke-width', 1.5)
+        .attr('stroke-dasharray', rel => rel === 'WatchedWith' ? 'none' : '3,2');
+
+    relationshipEntries.append('span')
+        .attr('class', 'flex-1 capitalize')
+        .text(rel => relationshipLabels[rel]);
+
+    relationshipEntries.append('span')
+        .attr('class', 'text-base-content/60 tabular-nums')
+        .text(rel => relationshipCounts.get(rel));
+
+    const relationshipSwatches = relationshipEntries.select('line');
+
+    graph.updateLegend = () => {
+        typeSwatches.attr('fill', type => graph.palette.nodes[type]);
+        relationshipSwatches.attr('stroke', withAlpha(graph.palette.foreground, 0.6));
+        typeEntries
+            .attr('aria-pressed', type => !graph.hiddenTypes.has(type))
+            .classed('opacity-40', type => graph.hiddenTypes.has(type));
+        relationshipEntries
+            .attr('aria-pressed', rel => !graph.hiddenRelationships.has(rel))
+            .classed('opacity-40', rel => graph.hiddenRelationships.has(rel));
+    };
+
+    graph.updateLegend();
+}
+
+/**
+ * Keep overlays that follow the graph in step after the view moved (zoom, pan or a simulation tick)
+ */
+function notifyViewChange(graph) {
+    positionNodeCard(graph);
+    scheduleMinimap(graph);
+    scheduleLevelOfDetail(graph);
+}
+
+/**
+ * Re-evaluate the level of detail on the next animation frame (SVG renderer; the canvas
+ * renderer evaluates it on every draw)
+ */
+function scheduleLevelOfDetail(graph) {
+    if (graph.applyLevelOfDetail && graph.lodFrame === null) {
+        graph.lodFrame = requestAnimationFrame(() => {
+            graph.lodFrame = null;
+            graph.applyLevelOfDetail();
+        });
+    }
+}
+
+/**
+ * Decide what to draw at the current zoom level: the detail level, which nodes get a label
+ * and the label font size. Labels go to the most connected nodes first (hovered, focused and
+ * selected nodes before all others) and are skipped where they would overlap a placed label.
+ */
+function computeLevelOfDetail(graph) {
+    const { k } = graph.transform;
+    const level = k < LOD_THRESHOLDS.far ? 'far' : k < LOD_THRESHOLDS.near ? 'mid' : 'near';
+
+    // Labels never shrink below 10px on screen
+    const fontSize = Math.max(10, 10 / k);
+    const lod = { level, fontSize, labels: new Set(), inView: new Set() };
+
+    const [x0, y0] = graph.transform.invert([0, 0]);
+    const [x1, y1] = graph.transform.invert([graph.width, graph.height]);
+    const margin = posterSize.height;
+    graph.nodes.forEach(d => {
+        if (isNodeVisible(graph, d) && d.x > x0 - margin && d.x < x1 + margin && d.y > y0 - margin && d.y < y1 + margin) {
+            lod.inView.add(d);
+        }
+    });
+
+    const order = nodesByImportance(graph);
+    const candidates = [
+        graph.hoveredNode,
+        graph.keyboardActive ? graph.keyboardNode : null,
+        ...graph.selection,
+        ...(graph.compare?.groups.keys() ?? []),
+        ...(level === 'far' ? order.slice(0, FAR_LABEL_COUNT) : order)
+    ];
+
+    // Greedy placement on a grid of screen cells
+    const cellSize = 50;
+    const grid = new Map();
+    const cellsOf = ({ left, top, right, bottom }) => {
+        const cells = [];
+        for (let cx = Math.floor(left / cellSize); cx <= Math.floor(right / cellSize); cx++) {
+            for (let cy = Math.floor(top / cellSize); cy <= Math.floor(bottom / cellSize); cy++) {
+                cells.push(`${cx},${cy}`);
+            }
+        }
+        return cells;
+    };
+    const overlaps = (a, b) => a.left < b.right && b.left < a.right && a.top < b.bottom && b.top < a.bottom;
+
+    for (const d of candidates) {
+        if (!d || lod.labels.has(d) || !lod.inView.has(d)) continue;
+
+        const [sx, sy] = graph.transform.apply([d.x, d.y]);
+        const screenFont = fontSize * k * nodeScale(d);
+        const halfWidth = labelText(d, lod).length * screenFont * 0.3;
+        const centerY = sy + labelOffset(d) * k * nodeScale(d);
+        const box = {
+            left: sx - halfWidth,
+            right: sx + halfWidth,
+            top: centerY - screenFont * 0.6,
+            bottom: centerY + screenFont * 0.6
+        };
+
+        const cells = cellsOf(box);
+        if (cells.some(cell => grid.get(cell)?.some(other => overlaps(box, other)))) continue;
+
+        cells.forEach(cell => {
+            if (!grid.has(cell)) grid.set(cell, []);
+            grid.get(cell).push(box);
+        });
+        lod.labels.add(d);
+    }
+
+    return lod;
+}
+
+/**
+ * Nodes ordered by degree, most connected first (computed once)
+ */
+function nodesByImportance(graph) {
+    if (!graph.importanceOrder) {
+        const degree = getMetric(graph, 'degree');
+        graph.importanceOrder = graph.nodes.slice().sort((a, b) => degree.get(b.id) - degree.get(a.id));
+    }
+    return graph.importanceOrder;
+}
+
+/**
+ * Label of a node: the full name when zoomed in, shortened otherwise
+ */
+function labelText(d, lod) {
+    return lod.level === 'near' ? d.name : truncate(d.name, 12);
+}
+
+/**
+ * Distance of a node's label below its center
+ */
+function labelOffset(d) {
+    return isPosterNode(d) ? 45 : 40;
+}
+
+/**
+ * Render the minimap navigator: every visible node as a dot, the viewport as a rectangle
+ * that can be dragged, and click-to-jump anywhere on the map
+ */
+function renderMinimap(graph) {
+    const { containerEl } = graph;
+    const dpr = window.devicePixelRatio || 1;
+
+    if (getComputedStyle(containerEl).position === 'static') {
+        containerEl.style.position = 'relative';
+    }
+
+    const element = d3.select(containerEl)
+        .append('div')
+        .attr('class', 'graph-minimap glass rounded-xl p-1 absolute bottom-4 right-4')
+        .attr('aria-hidden', 'true');
+
+    const canvas = element.append('canvas')
+        .attr('width', MINIMAP_SIZE.width * dpr)
+        .attr('height', MINIMAP_SIZE.height * dpr)
+        .style('display', 'block')
+        .style('width', `${MINIMAP_SIZE.width}px`)
+        .style('height', `${MINIMAP_SIZE.height}px`)
+        .style('cursor', 'pointer')
+        .style('touch-action', 'none');
+
+    graph.minimap = { element, canvas, dpr, frame: null, mapping: null, dragOffset: null };
+
+    const canvasEl = canvas.node();
+    const toGraph = event => {
+        const [mx, my] = d3.pointer(event, canvasEl);
+        const { scale, offsetX, offsetY } = graph.minimap.mapping;
+        return [(mx - offsetX) / scale, (my - offsetY) / scale];
+    };
+    const viewportCenter = () => {
+        const [x0, y0] = graph.transform.invert([0, 0]);
+        const [x1, y1] = graph.transform.invert([graph.width, graph.height]);
+        return { x0, y0, x1, y1, cx: (x0 + x1) / 2, cy: (y0 + y1) / 2 };
+    };
+
+    canvasEl.addEventListener('pointerdown', (event) => {
+        if (!graph.minimap.mapping) return;
+        event.preventDefault();
+        const [x, y] = toGraph(event);
+        const view = viewportCenter();
+
+        if (x >= view.x0 && x <= view.x1 && y >= view.y0 && y <= view.y1) {
+            // Grab the viewport rectangle where it was pressed
+            graph.minimap.dragOffset = [view.cx - x, view.cy - y];
+        } else {
+            // Jump there, then keep dragging from the new center
+            graph.minimap.dragOffset = [0, 0];
+            graph.root.transition().duration(300).call(graph.zoom.translateTo, x, y);
+        }
+        canvasEl.setPointerCapture?.(event.pointerId);
+    });
+
+    canvasEl.addEventListener('pointermove', (event) => {
+        const offset = graph.minimap.dragOffset;
+        if (!offset) return;
+        const [x, y] = toGraph(event);
+        graph.root.interrupt().call(graph.zoom.translateTo, x + offset[0], y + offset[1]);
+    });
+
+    const release = () => {
+        graph.minimap.dragOffset = null;
+    };
+    canvasEl.addEventListener('pointerup', release);
+    canvasEl.addEventListener('pointercancel', release);
+
+    drawMinimap(graph);
+}
+
+/**
+ * Redraw the minimap on the next animation frame
+ */
+function scheduleMinimap(graph) {
+    const minimap = graph.minimap;
+    if (minimap && minimap.frame === null) {
+        minimap.frame = requestAnimationFrame(() => drawMinimap(graph));
+    }
+}
+
+/**
+ * Draw the visible nodes as dots fitted into the minimap, and the viewport on top of them
+ */
+function drawMinimap(graph) {
+    const minimap = graph.minimap;
+    minimap.frame = null;
+
+    const ctx = minimap.canvas.node().getContext('2d');
+    const { width, height } = MINIMAP_SIZE;
+    const nodes = graph.nodes.filter(d => isNodeVisible(graph, d));
+
+    ctx.setTransform(minimap.dpr, 0, 0, minimap.dpr, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+    if (nodes.length === 0) {
+        minimap.mapping = null;
+        return;
+    }
+
+    // Fit the node bounds into the minimap, centered
+    const padding = 6;
+    const bounds = getNodeBounds(nodes);
+    const scale = Math.min((width - padding * 2) / bounds.width, (height - padding * 2) / bounds.height);
+    const offsetX = (width - bounds.width * scale) / 2 - bounds.x * scale;
+    const offsetY = (height - bounds.height * scale) / 2 - bounds.y * scale;
+    minimap.mapping = { scale, offsetX, offsetY };
+
+    for (const d of nodes) {
+        ctx.globalAlpha = nodeOpacity(graph, d);
+        ctx.fillStyle = nodeColor(graph, d);
+        ctx.beginPath();
+        ctx.arc(d.x * scale + offsetX, d.y * scale + offsetY, 2, 0, 2 * Math.PI);
+        ctx.fill();
+    }
+    ctx.globalAlpha = 1;
+
+    // Viewport rectangle
+    const [x0, y0] = graph.transform.invert([0, 0]);
+    const [x1, y1] = graph.transform.invert([graph.width, graph.height]);
+    ctx.fillStyle = withAlpha(graph.palette.foreground, 0.08);
+    ctx.strokeStyle = withAlpha(graph.palette.foreground, 0.8);
+    ctx.lineWidth = 1;
+    ctx.fillRect(x0 * scale + offsetX, y0 * scale + offsetY, (x1 - x0) * scale, (y1 - y0) * scale);
+    ctx.strokeRect(x0 * scale + offsetX, y0 * scale + offsetY, (x1 - x0) * scale, (y1 - y0) * scale);
+}
+
+/**
+ * Finish dragging a node: a moved node stays pinned where it was dropped,
+ * a plain click leaves the node's pinned state as it was
+ */
+function endNodeDrag(graph, d, moved) {
+    if (moved) {
+        d.pinned = true;
+        graph.refresh();
+        reportViewState(graph);
+    } else if (!d.pinned) {
+        d.fx = null;
+        d.fy = null;
+    }
+}
+
+/**
+ * Position of the pin indicator relative to the node center (top-right corner)
+ */
+function pinIndicatorOffset(d) {
+    const scale = nodeScale(d);
+    if (isPosterNode(d)) {
+        return [posterSize.width / 2 * scale, -posterSize.height / 2 * scale];
+    }
+    const offset = nodeSizes[d.type] * Math.SQRT1_2 * scale;
+    return [offset, -offset];
+}
+
+/**
+ * Position of the type badge relative to the node center (top-left corner, opposite the pin indicator)
+ */
+function typeBadgeOffset(d, scale = nodeScale(d)) {
+    const extent = isPosterNode(d)
+        ? [posterSize.width / 2, posterSize.height / 2]
+        : [nodeSizes[d.type] * Math.SQRT1_2, nodeSizes[d.type] * Math.SQRT1_2];
+    return [-extent[0] * scale, -extent[1] * scale];
+}
+
+/**
+ * Pin a node at its current position, or release it into the simulation
+ */
+function setPinned(graph, nodeId, pinned) {
+    const d = graph.nodes.find(n => n.id === nodeId);
+    if (!d) return;
+
+    d.pinned = pinned;
+    d.fx = pinned ? d.x : null;
+    d.fy = pinned ? d.y : null;
+    if (!pinned) graph.simulation.alpha(0.3).restart();
+    graph.refresh();
+    reportViewState(graph);
+}
+
+/**
+ * Release every pinned node
+ */
+function unpinAll(graph) {
+    graph.nodes.forEach(d => {
+        d.pinned = false;
+        d.fx = null;
+        d.fy = null;
+    });
+    graph.simulation.alpha(0.3).restart();
+    graph.refresh();
+    reportViewState(graph);
+}
+
+/**
+ * Read all saved layouts from localStorage
+ */
+function readLayouts() {
+    try {
+        return JSON.parse(localStorage.getItem(LAYOUTS_STORAGE_KEY)) || {};
+    } catch (e) {
+        console.debug('Could not read saved graph layouts:', e.message);
+        return {};
+    }
+}
+
+/**
+ * Write all saved layouts to localStorage
+ */
+function writeLayouts(layouts) {
+    localStorage.setItem(LAYOUTS_STORAGE_KEY, JSON.stringify(layouts));
+}
+
+/**
+ * Save the current node positions, pins and zoom transform under a name
+ */
+function saveLayout(graph, name) {
+    const { x, y, k } = graph.transform;
+    const layouts = readLayouts();
+
+    layouts[name] = {
+        savedAt: new Date().toISOString(),
+        transform: { x, y, k },
+        nodes: Object.fromEntries(graph.nodes.map(d => [d.id, { x: d.x, y: d.y, pinned: !!d.pinned }]))
+    };
+
+    writeLayouts(layouts);
+}
+
+/**
+ * Restore a saved layout: saved nodes go back to their positions, the zoom transform is restored
+ * and only nodes that were not part of the layout settle
+ */
+function restoreLayout(graph, name) {
+    const layout = readLayouts()[name];
+    if (!layout) return false;
+
+    applyLayoutPositions(graph, layout);
+    graph.simulation.alpha(0.3).restart();
+    graph.refresh();
+
+    graph.root.transition()
+        .duration(500)
+        .call(graph.zoom.transform, toZoomTransform(layout.transform));
+
+    return true;
+}
+
+/**
+ * Delete a saved layout
+ */
+function deleteLayout(name) {
+    const layouts = readLayouts();
+    delete layouts[name];
+    writeLayouts(layouts);
+}
+
+/**
+ * Move nodes to their saved positions. Saved nodes are held in place while the simulation
+ * settles, new nodes start next to their saved neighbors; afterwards only pinned nodes stay fixed.
+ */
+function applyLayoutPositions(graph, layout) {
+    const saved = layout.nodes || {};
+    const held = [];
+
+    graph.nodes.forEach(d => {
+        const position = saved[d.id];
+        if (!position) return;
+        d.x = d.fx = position.x;
+        d.y = d.fy = position.y;
+        d.pinned = position.pinned;
+        if (!position.pinned) held.push(d);
+    });
+
+    // Start new nodes at the center of their already placed neighbors
+    graph.nodes.filter(d => !saved[d.id]).forEach(d => {
+        const neighbors = getNeighbors(graph, d).filter(n => saved[n.id]);
+
+        if (neighbors.length > 0) {
+            d.x = d3.mean(neighbors, n => n.x) + (Math.random() - 0.5) * 20;
+            d.y = d3.mean(neighbors, n => n.y) + (Math.random() - 0.5) * 20;
+        }
+    });
+
+    graph.simulation.on('end.layout', () => {
+        graph.simulation.on('end.layout', null);
+        held.forEach(d => {
+            if (!d.pinned) {
+                d.fx = null;
+                d.fy = null;
+            }
+        });
+    });
+}
+
+/**
+ * The view state worth sharing: zoom transform, focused node, selection, hidden node types and pinned positions
+ */
+function captureViewState(graph) {
+    const { x, y, k } = graph.transform;
+    return {
+        transform: { x, y, k },
+        focus: graph.focusId,
+        selection: Array.from(graph.selection, d => d.id),
+        hiddenTypes: Array.from(graph.hiddenTypes),
+        pinned: Object.fromEntries(graph.nodes
+            .filter(d => d.pinned)
+            .map(d => [d.id, { x: d.fx ?? d.x, y: d.fy ?? d.y }]))
+    };
+}
+
+/**
+ * The current view state, encoded
+ */
+function currentViewState(graph) {
+    return encodeViewState(captureViewState(graph));
+}
+
+/**
+ * Report the view state to onViewStateChange if it changed since the last report.
+ * { push: true } marks a step worth its own history entry.
+ */
+function reportViewState(graph, { push = false } = {}) {
+    if (!graph.viewHistory) return;
+
+    const viewState = currentViewState(graph);
+    if (viewState === graph.viewState) return;
+
+    graph.viewState = viewState;
+    graph.options.onViewStateChange?.(viewState, { push });
+}
+
+/**
+ * A zoom, pan or camera animation ended: record it as a history step, unless it was a restore
+ */
+function endCameraMove(graph) {
+    if (graph.quietCamera) {
+        graph.quietCamera = false;
+        graph.viewState = currentViewState(graph);
+        return;
+    }
+    reportViewState(graph, { push: true });
+}
+
+/**
+ * Restore an encoded view state. Pins, hidden types, selection and focus apply at once; the camera
+ * moves to the saved transform, or else to the focused node or the whole graph. Nodes the state
+ * mentions but the graph lacks are ignored. Restoring is not reported to onViewStateChange, and restoring
+ * the state last reported (as an app echoing it back through its URL does) changes nothing.
+ */
+function applyViewState(graph, viewState, { animate = true } = {}) {
+    if (viewState && viewState === graph.viewState) return;
+
+    const state = decodeViewState(viewState);
+    const reporting = graph.viewHistory;
+    graph.viewHistory = false;
+
+    graph.nodes.forEach(d => {
+        const position = state.pinned[d.id];
+        if (position) {
+            d.x = d.fx = position.x;
+            d.y = d.fy = position.y;
+            d.pinned = true;
+        } else if (d.pinned) {
+            d.pinned = false;
+            d.fx = null;
+            d.fy = null;
         }
     });
 
-    // Update positions on simulation tick
-    simulation.on('tick', () => {
-        link
-            .attr('x1', d => d.source.x)
-            .attr('y1', d => d.source.y)
-            .attr('x2', d => d.target.x)
-            .attr('y2', d => d.target.y);
+    graph.hiddenTypes = new Set(state.hiddenTypes);
+    applyFilters(graph);
 
-        node.attr('transform', d => `translate(${d.x}, ${d.y})`);
-    });
+    // The app's selection panel follows the restored selection
+    const selected = new Set(state.selection);
+    const selection = graph.nodes.filter(d => selected.has(d.id));
+    const selectionChanged = selection.length !== graph.selection.size || selection.some(d => !graph.selection.has(d));
+    setSelection(graph, selection);
+    if (selectionChanged) graph.callbacks.onNodeSelect?.(selection[0] ?? null);
 
-    return simulation;
-}
-
-/**
- * Transform graph nodes from API format to D3 format
- */
-function transformNodes(apiNodes) {
-    return apiNodes.map((node, index) => {
-        // Node format: MovieNode (EntryId, title, posterPath option) etc.
-        if (node.Case === 'MovieNode') {
-            const [entryId, title, posterPath] = node.Fields;
-            return {
-                id: `movie-${entryId.Fields[0]}`,
-                type: 'movie',
-                entryId: entryId.Fields[0],
-                name: title,
-                posterPath: posterPath
-            };
-        } else if (node.Case === 'SeriesNode') {
-            const [entryId, name, posterPath] = node.Fields;
-            return {
-                id: `series-${entryId.Fields[0]}`,
-                type: 'series',
-                entryId: entryId.Fields[0],
-                name: name,
-                posterPath: posterPath
-            };
-        } else if (node.Case === 'FriendNode') {
-            const [friendId, name, avatarUrl] = node.Fields;
-            return {
-                id: `friend-${friendId.Fields[0]}`,
-                type: 'friend',
-                friendId: friendId.Fields[0],
-                name: name,
-                avatarUrl: avatarUrl
-            };
-        } else if (node.Case === 'ContributorNode') {
-            const [contributorId, name, profilePath, knownFor] = node.Fields;
-            return {
-                id: `contributor-${contributorId.Fields[0]}`,
-                type: 'contributor',
-                contributorId: contributorId.Fields[0],
-                name: name,
-                profilePath: profilePath,
-                knownFor: knownFor
-            };
-        } else if (node.Case === 'CollectionNode') {
-            const [collectionId, name, coverImagePath] = node.Fields;
-            return {
-                id: `collection-${collectionId.Fields[0]}`,
-                type: 'collection',
-                collectionId: collectionId.Fields[0],
-                name: name,
-                coverImagePath: coverImagePath
-            };
+    graph.focusId = graph.nodes.some(d => d.id === state.focus) ? state.focus : null;
+
+    if (graph.root && graph.zoom) {
+        if (state.transform) {
+            graph.quietCamera = true;
+            (animate ? graph.root.transition().duration(500) : graph.root)
+                .call(graph.zoom.transform, toZoomTransform(state.transform));
+        } else if (animate && graph.focusId) {
+            centerOnNode(graph, graph.focusId, { record: false });
+        } else if (animate) {
+            fitToView(graph, { record: false });
         }
-        return null;
-    }).filter(n => n !== null);
+    }
+
+    graph.viewHistory = reporting;
+    graph.viewState = currentViewState(graph);
 }
 
 /**
- * Transform graph edges from API format to D3 format
+ * Load a node's neighborhood from options.neighborProvider and merge it into the running simulation.
+ * New nodes start in a ring around the expanded node; nodes already on screen are held in place
+ * until the simulation settles, so only the new neighborhood moves.
  */
-function transformLinks(apiEdges, nodes) {
-    const nodeMap = new Map(nodes.map(n => [n.id, n]));
+async function expandNode(graph, nodeId) {
+    const provider = graph.options.neighborProvider;
+    const origin = graph.nodes.find(d => d.id === nodeId);
+    if (!provider || !origin || graph.expansions.has(nodeId)) return [];
 
-    return apiEdges.map(edge => {
-        const sourceNode = transformNodes([edge.Source])[0];
-        const targetNode = transformNodes([edge.Target])[0];
+    // Mark as loading so repeated double clicks don't fetch twice
+    graph.expansions.set(nodeId, null);
 
-        if (!sourceNode || !targetNode) return null;
+    let neighborhood;
+    try {
+        neighborhood = await provider(origin);
+    } catch (error) {
+        console.debug('Could not load neighbors of', nodeId, error);
+        graph.expansions.delete(nodeId);
+        return [];
+    }
 
-        // Only create link if both nodes exist in our node set
-        if (!nodeMap.has(sourceNode.id) || !nodeMap.has(targetNode.id)) return null;
+    // Collapsed or destroyed while loading
+    if (!graph.root || graph.expansions.get(nodeId) !== null) return [];
 
-        return {
-            source: sourceNode.id,
-            target: targetNode.id,
-            relationship: edge.Relationship.Case || 'Unknown'
-        };
-    }).filter(l => l !== null);
+    const known = new Map(graph.nodes.map(d => [d.id, d]));
+    const decoded = decodeGraph(neighborhood, {
+        onDiagnostic: graph.options.onDiagnostic ?? logDiagnostic,
+        knownIds: known.keys()
+    });
+    const nodes = decoded.nodes.filter(d => !known.has(d.id));
+    nodes.forEach(d => known.set(d.id, d));
+
+    const linkIds = new Set(graph.links.map(l => l.id));
+    const links = buildLinks(decoded.edges)
+        .filter(l => !linkIds.has(l.id))
+        .map(l => ({ ...l, source: known.get(l.source), target: known.get(l.target) }));
+
+    nodes.forEach((d, i) => {
+        const angle = 2 * Math.PI * i / nodes.length;
+        d.x = origin.x + Math.cos(angle) * 80 + (Math.random() - 0.5) * 10;
+        d.y = origin.y + Math.sin(angle) * 80 + (Math.random() - 0.5) * 10;
+    });
+
+    holdNodesUntilSettled(graph, graph.nodes);
+    graph.nodes = graph.nodes.concat(nodes);
+    graph.links = graph.links.concat(links);
+    graph.expansions.set(nodeId, { nodes, links });
+    updateGraphData(graph);
+    announce(graph, `${origin.name} expanded: ${nodes.length} new node${nodes.length === 1 ? '' : 's'}.`);
+
+    return nodes;
 }
 
 /**
- * Add gradient definitions for node fills
+ * Remove the nodes and links an expansion added. Expanded nodes among them are collapsed too;
+ * nodes that are still connected to the rest of the graph stay.
  */
-function addGradients(svg) {
-    const defs = svg.append('defs');
+function collapseNode(graph, nodeId) {
+    if (!graph.expansions.has(nodeId)) return false;
 
-    Object.entries(nodeColors).forEach(([type, color]) => {
-        const gradient = defs.append('radialGradient')
-            .attr('id', `gradient-${type}`)
-            .attr('cx', '50%')
-            .attr('cy', '30%')
-            .attr('r', '70%');
+    const removed = removeExpansion(graph, nodeId);
+    if (removed.size > 0) {
+        graph.selection = new Set([...graph.selection].filter(d => !removed.has(d)));
+        if (removed.has(graph.hoveredNode)) graph.hoveredNode = null;
+        if (removed.has(graph.keyboardNode)) graph.keyboardNode = null;
+        if (removed.has(graph.cardNode)) showNodeCard(graph, null);
+        if ([...removed].some(d => graph.highlight?.nodes.has(d))) graph.highlight = null;
+        graph.options.onSelectionChange?.([...graph.selection]);
+    }
+
+    updateGraphData(graph);
+    const origin = graph.nodes.find(d => d.id === nodeId);
+    if (origin) announce(graph, `${origin.name} collapsed.`);
+
+    return true;
+}
+
+/**
+ * Expand a node, or collapse it if it is expanded
+ */
+function toggleExpand(graph, nodeId) {
+    return graph.expansions.has(nodeId) ? collapseNode(graph, nodeId) : expandNode(graph, nodeId);
+}
 
-        gradient.append('stop')
-            .attr('offset', '0%')
-            .attr('stop-color', d3.color(color).brighter(0.5));
+/**
+ * Drop an expansion's nodes and links from the graph data, returning the removed nodes
+ */
+function removeExpansion(graph, nodeId) {
+    const expansion = graph.expansions.get(nodeId);
+    graph.expansions.delete(nodeId);
+    if (!expansion) return new Set();
+
+    const removed = new Set();
+    expansion.nodes.forEach(d => {
+        if (graph.expansions.has(d.id)) {
+            removeExpansion(graph, d.id).forEach(n => removed.add(n));
+        }
+    });
 
-        gradient.append('stop')
-            .attr('offset', '100%')
-            .attr('stop-color', d3.color(color).darker(0.3));
+    // Keep added nodes that another link still ties to a node outside this expansion
+    const candidates = new Set(expansion.nodes);
+    const links = graph.links.filter(l => !expansion.links.includes(l));
+    const anchored = new Set(links.flatMap(l =>
+        candidates.has(l.source) && !candidates.has(l.target) ? [l.source]
+            : candidates.has(l.target) && !candidates.has(l.source) ? [l.target] : []));
+    candidates.forEach(d => {
+        if (!anchored.has(d)) removed.add(d);
     });
+
+    graph.nodes = graph.nodes.filter(d => !removed.has(d));
+    graph.links = links.filter(l => !removed.has(l.source) && !removed.has(l.target));
+
+    return removed;
 }
 
 /**
- * Create drag behavior for nodes
+ * Fix nodes at their current position until the simulation settles; pinned nodes stay fixed
  */
-function drag(simulation) {
-    function dragstarted(event) {
-        if (!event.active) simulation.alphaTarget(0.3).restart();
-        event.subject.fx = event.subject.x;
-        event.subject.fy = event.subject.y;
+function holdNodesUntilSettled(graph, nodes) {
+    nodes.forEach(d => {
+        if (d.fx != null) return;
+        d.fx = d.x;
+        d.fy = d.y;
+        graph.heldNodes.add(d);
+    });
+
+    graph.simulation.on('end.expand', () => {
+        graph.simulation.on('end.expand', null);
+        graph.heldNodes.forEach(d => {
+            if (!d.pinned) {
+                d.fx = null;
+                d.fy = null;
+            }
+        });
+        graph.heldNodes.clear();
+    });
+}
+
+/**
+ * Bring everything derived from the node and link arrays up to date after they changed
+ */
+function updateGraphData(graph) {
+    graph.adjacency = buildAdjacency(graph.links);
+    graph.metrics = {};
+    graph.importanceOrder = null;
+
+    graph.updateData();
+    if (graph.sizeMetric) {
+        setSizeMetric(graph, graph.sizeMetric);
+    }
+    applyFilters(graph);
+    if (graph.communities) {
+        runCommunityDetection(graph);
+    }
+    if (graph.legendEl) {
+        renderLegend(graph);
     }
+    if (graph.accessibilityEl) {
+        renderAdjacencyList(graph);
+    }
+    if (graph.compare) {
+        compareNodes(graph, graph.compare.first.id, graph.compare.second.id, { fit: false });
+    }
+    reportKnownImageFailures(graph);
+}
 
-    function dragged(event) {
-        event.subject.fx = event.x;
-        event.subject.fy = event.y;
+/**
+ * Switch the layout mode and reheat the simulation so nodes glide into the new arrangement
+ */
+function setLayoutMode(graph, mode, { focusId } = {}) {
+    if (!layoutModes.includes(mode)) {
+        console.debug('Unknown graph layout mode:', mode);
+        return;
     }
 
-    function dragended(event) {
-        if (!event.active) simulation.alphaTarget(0);
-        event.subject.fx = null;
-        event.subject.fy = null;
+    const focus = mode === 'radial'
+        ? graph.nodes.find(n => n.id === focusId) ?? graph.layoutFocus ?? graph.keyboardNode ?? graph.nodes[0]
+        : null;
+
+    // Release the previous center unless the user pinned it
+    if (graph.layoutFocus && graph.layoutFocus !== focus && !graph.layoutFocus.pinned) {
+        graph.layoutFocus.fx = null;
+        graph.layoutFocus.fy = null;
     }
 
-    return d3.drag()
-        .on('start', dragstarted)
-        .on('drag', dragged)
-        .on('end', dragended);
+    graph.layoutMode = mode;
+    graph.layoutFocus = focus ?? null;
+    applyLayoutForces(graph);
+    graph.simulation.alpha(0.8).restart();
+}
+
+/**
+ * Configure the simulation forces for the current layout mode over the visible nodes and links
+ */
+function applyLayoutForces(graph) {
+    const { simulation, width, height } = graph;
+    const link = simulation.force('link');
+
+    simulation.force('radial', null).force('x', null).force('y', null);
+
+    if (graph.layoutMode === 'radial' && graph.layoutFocus) {
+        const focus = graph.layoutFocus;
+        const links = graph.links.filter(l => isLinkVisible(graph, l));
+        const distances = hopDistances(buildNeighborMap(links), focus.id);
+        const outerRing = d3.max(distances.values()) + 1;
+        const ringOf = d => distances.get(d.id) ?? outerRing;
+
+        focus.fx = width / 2;
+        focus.fy = height / 2;
+
+        link.distance(RING_SPACING).strength(0.1);
+        simulation
+            .force('charge', d3.forceManyBody().strength(-150))
+            .force('center', null)
+            .force('radial', d3.forceRadial(d => ringOf(d) * RING_SPACING, width / 2, height / 2).strength(0.8));
+    } else if (graph.layoutMode === 'grouped') {
+        const present = new Set(simulation.nodes().map(d => columnGroups[d.type]));
+        const columns = columnOrder.filter(g => present.has(g));
+        const columnX = d => width * (columns.indexOf(columnGroups[d.type]) + 1) / (columns.length + 1);
+
+        link.distance(100).strength(0.05);
+        simulation
+            .force('charge', d3.forceManyBody().strength(-120))
+            .force('center', null)
+            .force('x', d3.forceX(columnX).strength(0.6))
+            .force('y', d3.forceY(height / 2).strength(0.05));
+    } else {
+        link.distance(100).strength(0.5);
+        simulation
+            .force('charge', d3.forceManyBody().strength(-300))
+            .force('center', d3.forceCenter(width / 2, height / 2));
+    }
+}
+
+/**
+ * A metric for every node over the whole loaded graph, computed once on first use
+ */
+function getMetric(graph, metric) {
+    if (!graph.metrics[metric]) {
+        const ids = graph.nodes.map(d => d.id);
+        const neighbors = buildNeighborMap(graph.links);
+        const compute = { degree: degreeCentrality, betweenness: betweennessCentrality, pagerank: pageRank }[metric];
+        graph.metrics[metric] = compute(neighbors, ids);
+    }
+    return graph.metrics[metric];
+}
+
+/**
+ * The n nodes ranking highest by a metric, optionally restricted to some node types
+ */
+function topNodes(graph, metric, n = 10, { types } = {}) {
+    if (!metricNames.includes(metric)) {
+        console.debug('Unknown graph metric:', metric);
+        return [];
+    }
+
+    const values = getMetric(graph, metric);
+    return graph.nodes
+        .filter(d => !types || types.includes(d.type))
+        .map(d => ({ node: d, value: values.get(d.id) ?? 0 }))
+        .sort((a, b) => b.value - a.value)
+        .slice(0, n);
+}
+
+/**
+ * Scale every node by its value of a metric relative to the highest value (square root,
+ * so area grows with the metric), or reset all nodes to their fixed size with null
+ */
+function setSizeMetric(graph, metric) {
+    if (metric && !metricNames.includes(metric)) {
+        console.debug('Unknown graph metric:', metric);
+        return;
+    }
+
+    const values = metric ? getMetric(graph, metric) : null;
+    const max = values ? d3.max(values.values()) : 0;
+
+    graph.sizeMetric = metric || null;
+    graph.nodes.forEach(d => {
+        d.scale = max > 0
+            ? MIN_NODE_SCALE + (MAX_NODE_SCALE - MIN_NODE_SCALE) * Math.sqrt(values.get(d.id) / max)
+            : undefined;
+    });
+
+    // Re-evaluate collision radii and let the nodes make room
+    const collision = graph.simulation.force('collision');
+    collision.radius(collision.radius());
+    graph.simulation.alpha(0.3).restart();
+    graph.refresh();
+}
+
+/**
+ * Map each node ID to its incident links, as { node: neighbor, link } entries
+ */
+function buildAdjacency(links) {
+    const adjacency = new Map();
+    const add = (from, to, link) => {
+        if (!adjacency.has(from.id)) adjacency.set(from.id, []);
+        adjacency.get(from.id).push({ node: to, link });
+    };
+
+    links.forEach(l => {
+        add(l.source, l.target, l);
+        add(l.target, l.source, l);
+    });
+
+    return adjacency;
+}
+
+/**
+ * Distinct neighboring nodes of a node
+ */
+function getNeighbors(graph, d) {
+    const entries = (graph.adjacency.get(d.id) || []).filter(e => isLinkVisible(graph, e.link));
+    return Array.from(new Set(entries.map(e => e.node)));
+}
+
+/**
+ * Convert a saved { x, y, k } transform into a d3 zoom transform
+ */
+function toZoomTransform(transform) {
+    if (!transform) return d3.zoomIdentity;
+    return d3.zoomIdentity.translate(transform.x, transform.y).scale(transform.k);
 }
 
 /**
@@ -423,53 +4342,346 @@ function truncate(text, maxLength) {
 }
 
 /**
- * Update the graph zoom level
+ * Compute the bounding box of all nodes, including their shapes and labels
  */
-export function setZoom(level) {
-    if (svg && zoom) {
-        svg.transition()
-            .duration(300)
-            .call(zoom.scaleTo, level);
+function getNodeBounds(nodes) {
+    const halfWidth = d => posterSize.width / 2 * nodeScale(d);
+    const top = d => posterSize.height / 2 * nodeScale(d);
+    const bottom = d => 50 * nodeScale(d); // Labels sit up to 45px below the node center
+
+    const minX = d3.min(nodes, d => d.x - halfWidth(d));
+    const maxX = d3.max(nodes, d => d.x + halfWidth(d));
+    const minY = d3.min(nodes, d => d.y - top(d));
+    const maxY = d3.max(nodes, d => d.y + bottom(d));
+
+    return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+}
+
+/**
+ * Node properties that describe the domain entity (as opposed to simulation state)
+ */
+const nodeDataKeys = [
+    'type', 'name', 'entryId', 'friendId', 'contributorId', 'collectionId',
+    'posterPath', 'avatarUrl', 'profilePath', 'knownFor', 'coverImagePath'
+];
+
+/**
+ * Build a detached SVG element showing the whole graph at its current positions
+ */
+function buildExportSvg(graph) {
+    const padding = 40;
+    const nodes = graph.nodes.filter(d => isNodeVisible(graph, d));
+    const links = graph.links.filter(l => isLinkVisible(graph, l));
+    const bounds = getNodeBounds(nodes);
+    const width = Math.ceil(bounds.width + padding * 2);
+    const height = Math.ceil(bounds.height + padding * 2);
+    const gradientId = type => `export-gradient-${type}`;
+
+    const svg = d3.create('svg')
+        .attr('xmlns', 'http://www.w3.org/2000/svg')
+        .attr('width', width)
+        .attr('height', height)
+        .attr('viewBox', [bounds.x - padding, bounds.y - padding, width, height])
+        .attr('font-family', getComputedStyle(graph.containerEl).fontFamily || 'sans-serif');
+
+    updateGradients(svg.append('defs'), gradientId, graph.palette);
+
+    svg.append('rect')
+        .attr('x', bounds.x - padding)
+        .attr('y', bounds.y - padding)
+        .attr('width', width)
+        .attr('height', height)
+        .attr('fill', getComputedStyle(document.body).backgroundColor || '#0f0f0f');
+
+    const container = svg.append('g').attr('class', 'graph-container');
+
+    appendSvgLinks(container, links, graph)
+        .attr('x1', d => d.source.x)
+        .attr('y1', d => d.source.y)
+        .attr('x2', d => d.target.x)
+        .attr('y2', d => d.target.y);
+
+    const node = container.append('g')
+        .attr('class', 'nodes')
+        .selectAll('g')
+        .data(nodes)
+        .join('g')
+        .attr('class', 'node')
+        .attr('transform', d => `translate(${d.x}, ${d.y}) scale(${nodeScale(d)})`);
+
+    appendSvgNodeShapes(node, gradientId, graph.palette);
+
+    // Inside the scaled node group, so placed at the unscaled offset
+    if (graph.options.typeBadges !== false) {
+        appendSvgTypeBadge(node, graph.palette)
+            .attr('transform', d => `translate(${typeBadgeOffset(d, 1)})`);
     }
+
+    return svg.node();
 }
 
 /**
- * Reset zoom to fit all nodes
+ * Replace image URLs with data URLs so the SVG renders on its own.
+ * Images that fail to load are removed, leaving the node's background shape.
  */
-export function resetZoom() {
-    if (svg && zoom && container) {
-        const bounds = container.node().getBBox();
-        const parent = svg.node().parentElement;
-        const fullWidth = parent.clientWidth;
-        const fullHeight = parent.clientHeight;
+async function inlineImages(svgEl) {
+    const images = Array.from(svgEl.querySelectorAll('image'));
+    const dataUrls = new Map();
+
+    await Promise.all(images.map(async (image) => {
+        const url = image.getAttribute('href');
+        if (!dataUrls.has(url)) {
+            dataUrls.set(url, fetchAsDataUrl(url));
+        }
+        const dataUrl = await dataUrls.get(url);
+        if (dataUrl) {
+            image.setAttribute('href', dataUrl);
+        } else {
+            image.remove();
+        }
+    }));
+}
+
+/**
+ * Fetch a URL and read it as a data URL, or null if it cannot be loaded
+ */
+async function fetchAsDataUrl(url) {
+    try {
+        const response = await fetch(url);
+        if (!response.ok) return null;
+        const blob = await response.blob();
+        return await new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    } catch (e) {
+        console.debug('Could not inline image:', url, e.message);
+        return null;
+    }
+}
+
+/**
+ * Export the graph as a standalone SVG document
+ */
+async function exportSvg(graph) {
+    const svgEl = buildExportSvg(graph);
+    await inlineImages(svgEl);
+    return new XMLSerializer().serializeToString(svgEl);
+}
+
+/**
+ * Export the graph as a PNG, rasterized from the standalone SVG
+ */
+async function exportPng(graph, { scale = 2 } = {}) {
+    const svgEl = buildExportSvg(graph);
+    await inlineImages(svgEl);
+
+    const width = Number(svgEl.getAttribute('width'));
+    const height = Number(svgEl.getAttribute('height'));
+    const svgBlob = new Blob([new XMLSerializer().serializeToString(svgEl)], { type: 'image/svg+xml' });
+    const url = URL.createObjectURL(svgBlob);
+
+    try {
+        const image = await new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => resolve(img);
+            img.onerror = () => reject(new Error('Could not rasterize graph SVG'));
+            img.src = url;
+        });
+
+        const canvasEl = document.createElement('canvas');
+        canvasEl.width = Math.round(width * scale);
+        canvasEl.height = Math.round(height * scale);
+        canvasEl.getContext('2d').drawImage(image, 0, 0, canvasEl.width, canvasEl.height);
+
+        return await new Promise((resolve, reject) => {
+            canvasEl.toBlob(blob => blob ? resolve(blob) : reject(new Error('Could not encode PNG')), 'image/png');
+        });
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+}
+
+/**
+ * Export the graph as GraphML (readable by Gephi, yEd, networkx, ...)
+ */
+function exportGraphML(graph) {
+    const nodeKeys = [
+        ...nodeDataKeys.map(key => ({ id: key, type: key.endsWith('Id') ? 'int' : 'string' })),
+        { id: 'label', type: 'string' },
+        { id: 'x', type: 'double' },
+        { id: 'y', type: 'double' }
+    ];
+
+    const data = (key, value) =>
+        value === null || value === undefined ? '' : `<data key="${key}">${escapeXml(String(value))}</data>`;
+
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<graphml xmlns="http://graphml.graphdrawing.org/xmlns" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://graphml.graphdrawing.org/xmlns http://graphml.graphdrawing.org/xmlns/1.0/graphml.xsd">',
+        ...nodeKeys.map(key => `  <key id="${key.id}" for="node" attr.name="${key.id}" attr.type="${key.type}"/>`),
+        '  <key id="relationship" for="edge" attr.name="relationship" attr.type="string"/>',
+        '  <key id="role" for="edge" attr.name="role" attr.type="string"/>',
+        '  <key id="weight" for="edge" attr.name="weight" attr.type="int"/>',
+        '  <graph id="cinemarco" edgedefault="undirected">'
+    ];
+
+    for (const d of graph.nodes) {
+        const fields = nodeDataKeys.map(key => data(key, d[key])).join('');
+        lines.push(`    <node id="${escapeXml(d.id)}">${fields}${data('label', d.name)}${data('x', d.x)}${data('y', d.y)}</node>`);
+    }
+
+    graph.links.forEach((l, i) => {
+        lines.push(`    <edge id="e${i}" source="${escapeXml(l.source.id)}" target="${escapeXml(l.target.id)}">${data('relationship', l.relationship)}${data('role', l.role)}${data('weight', l.weight)}</edge>`);
+    });
+
+    lines.push('  </graph>', '</graphml>');
+    return lines.join('\n');
+}
+
+/**
+ * Export the graph as a JSON node-link document (networkx/d3 compatible)
+ */
+function exportJson(graph) {
+    return {
+        directed: false,
+        multigraph: true,
+        graph: {
+            exportedAt: new Date().toISOString(),
+            transform: { x: graph.transform.x, y: graph.transform.y, k: graph.transform.k }
+        },
+        nodes: graph.nodes.map(d => ({
+            id: d.id,
+            ...Object.fromEntries(nodeDataKeys.filter(key => d[key] !== undefined).map(key => [key, d[key]])),
+            x: d.x,
+            y: d.y
+        })),
+        links: graph.links.map(l => ({
+            source: l.source.id,
+            target: l.target.id,
+            relationship: l.relationship,
+            weight: l.weight,
+            details: l.details
+        }))
+    };
+}
 
-        const midX = bounds.x + bounds.width / 2;
-        const midY = bounds.y + bounds.height / 2;
-        const scale = 0.8 / Math.max(bounds.width / fullWidth, bounds.height / fullHeight);
+/**
+ * Export the graph in a format and hand the file to the browser as a download
+ */
+async function downloadExport(graph, format, options) {
+    let blob;
+    switch (format) {
+        case 'svg':
+            blob = new Blob([await exportSvg(graph)], { type: 'image/svg+xml' });
+            break;
+        case 'png':
+            blob = await exportPng(graph, options);
+            break;
+        case 'graphml':
+            blob = new Blob([exportGraphML(graph)], { type: 'application/graphml+xml' });
+            break;
+        case 'json':
+            blob = new Blob([JSON.stringify(exportJson(graph), null, 2)], { type: 'application/json' });
+            break;
+        default:
+            throw new Error(`Unknown graph export format: ${format}`);
+    }
+
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `cinemarco-graph.${format}`;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Escape text for use in XML content and attributes
+ */
+function escapeXml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Animate a graph to the given zoom level
+ */
+function zoomTo(graph, level) {
+    if (graph.root && graph.zoom) {
+        graph.root.transition()
+            .duration(300)
+            .call(graph.zoom.scaleTo, level);
+    }
+}
+
+/**
+ * Animate a graph so all nodes fit the viewport
+ */
+function fitToView(graph, options) {
+    const nodes = graph.nodes.filter(d => isNodeVisible(graph, d));
+    if (graph.root && graph.zoom && nodes.length > 0) {
+        zoomToBounds(graph, graph.container ? graph.container.node().getBBox() : getNodeBounds(nodes), options);
+    }
+}
 
-        svg.transition()
-            .duration(500)
-            .call(zoom.transform, d3.zoomIdentity
-                .translate(fullWidth / 2, fullHeight / 2)
-                .scale(scale)
-                .translate(-midX, -midY));
+/**
+ * Animate a graph so the given nodes fill the viewport
+ */
+function fitToNodes(graph, nodes) {
+    if (graph.root && graph.zoom && nodes.length > 0) {
+        zoomToBounds(graph, getNodeBounds(nodes));
     }
 }
 
 /**
- * Focus on a specific node
+ * Animate a graph so a bounding box (in graph coordinates) fills 80% of the viewport;
+ * { record: false } keeps the move out of the view history
+ */
+function zoomToBounds(graph, bounds, { record = true } = {}) {
+    const parent = graph.root.node().parentElement;
+    const fullWidth = parent.clientWidth;
+    const fullHeight = parent.clientHeight;
+    const [minScale, maxScale] = graph.zoom.scaleExtent();
+
+    const midX = bounds.x + bounds.width / 2;
+    const midY = bounds.y + bounds.height / 2;
+    const scale = 0.8 / Math.max(bounds.width / fullWidth, bounds.height / fullHeight);
+
+    graph.quietCamera = !record;
+    graph.root.transition()
+        .duration(500)
+        .call(graph.zoom.transform, d3.zoomIdentity
+            .translate(fullWidth / 2, fullHeight / 2)
+            .scale(Math.max(minScale, Math.min(maxScale, scale)))
+            .translate(-midX, -midY));
+}
+
+/**
+ * Animate a graph to center on a specific node, which becomes the focused node of the view state;
+ * { record: false } keeps the move out of the view history
  */
-export function focusOnNode(nodeId) {
-    if (svg && zoom && container && simulation) {
-        const node = simulation.nodes().find(n => n.id === nodeId);
+function centerOnNode(graph, nodeId, { record = true } = {}) {
+    if (graph.root && graph.zoom) {
+        const node = graph.nodes.find(n => n.id === nodeId);
         if (node) {
-            const parent = svg.node().parentElement;
+            const parent = graph.root.node().parentElement;
             const fullWidth = parent.clientWidth;
             const fullHeight = parent.clientHeight;
 
-            svg.transition()
+            graph.focusId = node.id;
+            graph.quietCamera = !record;
+            graph.root.transition()
                 .duration(500)
-                .call(zoom.transform, d3.zoomIdentity
+                .call(graph.zoom.transform, d3.zoomIdentity
                     .translate(fullWidth / 2, fullHeight / 2)
                     .scale(2)
                     .translate(-node.x, -node.y));
@@ -478,15 +4690,97 @@ export function focusOnNode(nodeId) {
 }
 
 /**
- * Clean up the graph
+ * Stop a graph's simulation and pending redraws and remove its elements
+ */
+function teardown(graph) {
+    graph.simulation.stop();
+    graph.simulation.terminate?.();
+    if (graph.lodFrame !== null) {
+        cancelAnimationFrame(graph.lodFrame);
+    }
+    if (graph.imageFrame !== null) {
+        cancelAnimationFrame(graph.imageFrame);
+    }
+    if (graph.minimap?.frame) {
+        cancelAnimationFrame(graph.minimap.frame);
+    }
+    graph.cancelLongPress?.();
+    graph.stopPaletteWatch?.();
+    closeContextMenu(graph);
+    if (graph.fadeTimer) {
+        graph.fadeTimer.stop();
+        graph.fadeTimer = null;
+    }
+    if (graph.frame !== null) {
+        cancelAnimationFrame(graph.frame);
+        graph.frame = null;
+    }
+    if (graph.root) {
+        graph.root.interrupt();
+    }
+    d3.select(graph.containerEl).selectAll('*').remove();
+    graph.root = null;
+    graph.container = null;
+    graph.zoom = null;
+}
+
+/**
+ * Update the zoom level of the most recently initialized graph
+ */
+export function setZoom(level) {
+    activeGraph?.setZoom(level);
+}
+
+/**
+ * Reset zoom of the most recently initialized graph to fit all nodes
+ */
+export function resetZoom() {
+    activeGraph?.resetZoom();
+}
+
+/**
+ * Focus the most recently initialized graph on a specific node
+ * @param {string} nodeId - ID of the node to center on
+ * @param {Object} [options] - { record: false } keeps the move out of onViewStateChange
+ */
+export function focusOnNode(nodeId, options) {
+    activeGraph?.focusOnNode(nodeId, options);
+}
+
+/**
+ * The encoded view state of the most recently initialized graph, or null without a graph
+ */
+export function getViewState() {
+    return activeGraph ? activeGraph.getViewState() : null;
+}
+
+/**
+ * Restore an encoded view state in the most recently initialized graph
+ */
+export function restoreViewState(viewState) {
+    activeGraph?.setViewState(viewState);
+}
+
+/**
+ * Export the most recently initialized graph and download it
+ * @param {'svg'|'png'|'graphml'|'json'} format - Export format
+ * @param {Object} [options] - Format options, e.g. { scale: 2 } for PNG
+ */
+export function downloadGraph(format, options) {
+    return activeGraph ? activeGraph.download(format, options) : Promise.resolve();
+}
+
+/**
+ * Clean up the graph in the given container
+ * @returns {string|null} The graph's last view state, to restore it later, or null without a graph
  */
 export function destroyGraph(containerId) {
-    if (simulation) {
-        simulation.stop();
-        simulation = null;
+    const graph = graphs.get(containerId);
+    if (graph) {
+        const viewState = graph.getViewState();
+        graph.destroy();
+        return viewState;
     }
     d3.select(`#${containerId}`).selectAll('*').remove();
-    svg = null;
-    container = null;
-    zoom = null;
+    return null;
 }
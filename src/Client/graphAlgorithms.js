@@ -0,0 +1,379 @@
+/**
+ * Graph algorithms for the relationship graph
+ * Pure functions over node IDs and links, independent of rendering
+ */
+
+/**
+ * Build an undirected neighbor map from links
+ * @param {Array} links - Links whose source/target are node objects (with id) or node IDs
+ * @returns {Map<string, Set<string>>} Node ID to the IDs of its neighbors
+ */
+export function buildNeighborMap(links) {
+    const neighbors = new Map();
+    const add = (from, to) => {
+        if (!neighbors.has(from)) neighbors.set(from, new Set());
+        neighbors.get(from).add(to);
+    };
+
+    links.forEach(l => {
+        const source = nodeId(l.source);
+        const target = nodeId(l.target);
+        if (source === target) return;
+        add(source, target);
+        add(target, source);
+    });
+
+    return neighbors;
+}
+
+/**
+ * Find the shortest path (fewest hops) between two nodes with a breadth-first search
+ * @param {Map<string, Set<string>>} neighbors - Neighbor map from buildNeighborMap
+ * @param {string} sourceId - Start node ID
+ * @param {string} targetId - End node ID
+ * @param {Object} [blocked] - Nodes and edges the path may not use
+ * @param {Set<string>} [blocked.nodes] - Blocked node IDs
+ * @param {Set<string>} [blocked.edges] - Blocked edges as edgeKey(a, b)
+ * @returns {string[]|null} Node IDs from source to target, or null if unreachable
+ */
+export function shortestPath(neighbors, sourceId, targetId, blocked = {}) {
+    const blockedNodes = blocked.nodes || new Set();
+    const blockedEdges = blocked.edges || new Set();
+
+    if (!neighbors.has(sourceId) && sourceId !== targetId) return null;
+    if (blockedNodes.has(sourceId) || blockedNodes.has(targetId)) return null;
+
+    const previous = new Map([[sourceId, null]]);
+    const queue = [sourceId];
+
+    for (let i = 0; i < queue.length; i++) {
+        const current = queue[i];
+        if (current === targetId) break;
+
+        for (const next of neighbors.get(current) || []) {
+            if (previous.has(next) || blockedNodes.has(next) || blockedEdges.has(edgeKey(current, next))) continue;
+            previous.set(next, current);
+            queue.push(next);
+        }
+    }
+
+    if (!previous.has(targetId)) return null;
+
+    const path = [];
+    for (let id = targetId; id !== null; id = previous.get(id)) {
+        path.push(id);
+    }
+    return path.reverse();
+}
+
+/**
+ * Find up to k loopless shortest paths between two nodes (Yen's algorithm over hop counts)
+ * @param {Map<string, Set<string>>} neighbors - Neighbor map from buildNeighborMap
+ * @param {string} sourceId - Start node ID
+ * @param {string} targetId - End node ID
+ * @param {number} k - Maximum number of paths
+ * @returns {string[][]} Paths ordered by length, shortest first
+ */
+export function kShortestPaths(neighbors, sourceId, targetId, k) {
+    const first = shortestPath(neighbors, sourceId, targetId);
+    if (!first) return [];
+
+    const paths = [first];
+    const candidates = [];
+    const seen = new Set([first.join('|')]);
+
+    while (paths.length < k) {
+        const last = paths[paths.length - 1];
+
+        // Deviate from the last path at every node along it
+        for (let i = 0; i < last.length - 1; i++) {
+            const rootPath = last.slice(0, i + 1);
+            const spurNode = last[i];
+            const edges = new Set();
+
+            // Block the next edge of every known path sharing this root
+            paths.forEach(path => {
+                if (path.length > i && rootPath.every((id, j) => path[j] === id)) {
+                    edges.add(edgeKey(path[i], path[i + 1]));
+                }
+            });
+
+            const nodes = new Set(rootPath.slice(0, -1));
+            const spurPath = shortestPath(neighbors, spurNode, targetId, { nodes, edges });
+            if (!spurPath) continue;
+
+            const candidate = [...rootPath.slice(0, -1), ...spurPath];
+            const key = candidate.join('|');
+            if (!seen.has(key)) {
+                seen.add(key);
+                candidates.push(candidate);
+            }
+        }
+
+        if (candidates.length === 0) break;
+
+        candidates.sort((a, b) => a.length - b.length);
+        paths.push(candidates.shift());
+    }
+
+    return paths;
+}
+
+/**
+ * Key for an undirected edge between two node IDs
+ */
+export function edgeKey(a, b) {
+    return a < b ? `${a}|${b}` : `${b}|${a}`;
+}
+
+/**
+ * Get the ID of a link endpoint, which is either a node object or an ID
+ */
+function nodeId(endpoint) {
+    return typeof endpoint === 'object' ? endpoint.id : endpoint;
+}
+
+/**
+ * Detect communities with the Louvain method (modularity optimization with graph aggregation)
+ * @param {string[]} nodeIds - IDs of all nodes to partition
+ * @param {Array} links - Links between the nodes; parallel links add up as edge weight
+ * @param {Object} [options]
+ * @param {number} [options.resolution=1] - Higher values produce more, smaller communities
+ * @returns {Map<string, number>} Node ID to community index, communities numbered by size (largest first)
+ */
+export function detectCommunities(nodeIds, links, { resolution = 1 } = {}) {
+    const indexOf = new Map(nodeIds.map((id, i) => [id, i]));
+
+    // Weighted adjacency; an undirected edge is stored in both directions
+    let adjacency = nodeIds.map(() => new Map());
+    links.forEach(l => {
+        const a = indexOf.get(nodeId(l.source));
+        const b = indexOf.get(nodeId(l.target));
+        if (a === undefined || b === undefined || a === b) return;
+        const weight = l.weight ?? 1;
+        adjacency[a].set(b, (adjacency[a].get(b) || 0) + weight);
+        adjacency[b].set(a, (adjacency[b].get(a) || 0) + weight);
+    });
+
+    // Community of each original node, refined level by level
+    let assignment = nodeIds.map((_, i) => i);
+
+    for (;;) {
+        const { community, moved } = louvainPass(adjacency, resolution);
+        if (!moved) break;
+
+        const level = renumber(community);
+        assignment = assignment.map(c => level[c]);
+        adjacency = aggregate(adjacency, level);
+    }
+
+    // Number communities by size so the largest gets index 0
+    const sizes = new Map();
+    assignment.forEach(c => sizes.set(c, (sizes.get(c) || 0) + 1));
+    const order = Array.from(sizes.keys()).sort((a, b) => sizes.get(b) - sizes.get(a) || a - b);
+    const rank = new Map(order.map((c, i) => [c, i]));
+
+    return new Map(nodeIds.map((id, i) => [id, rank.get(assignment[i])]));
+}
+
+/**
+ * One Louvain local-moving phase: move nodes to the neighboring community with the
+ * best modularity gain until no move improves it
+ */
+function louvainPass(adjacency, resolution) {
+    const n = adjacency.length;
+    const degree = adjacency.map(row => Array.from(row.values()).reduce((sum, w) => sum + w, 0));
+    const totalWeight = degree.reduce((sum, k) => sum + k, 0);
+    const community = adjacency.map((_, i) => i);
+    const communityDegree = degree.slice();
+    let moved = false;
+
+    if (totalWeight === 0) return { community, moved };
+
+    for (let improved = true; improved;) {
+        improved = false;
+
+        for (let i = 0; i < n; i++) {
+            const current = community[i];
+            const k = degree[i];
+
+            // Edge weight from i to each neighboring community
+            const weights = new Map();
+            adjacency[i].forEach((w, j) => {
+                if (j !== i) weights.set(community[j], (weights.get(community[j]) || 0) + w);
+            });
+
+            communityDegree[current] -= k;
+
+            let best = current;
+            let bestGain = (weights.get(current) || 0) - resolution * communityDegree[current] * k / totalWeight;
+            weights.forEach((w, c) => {
+                const gain = w - resolution * communityDegree[c] * k / totalWeight;
+                if (gain > bestGain + 1e-12) {
+                    best = c;
+                    bestGain = gain;
+                }
+            });
+
+            communityDegree[best] += k;
+            if (best !== current) {
+                community[i] = best;
+                improved = true;
+                moved = true;
+            }
+        }
+    }
+
+    return { community, moved };
+}
+
+/**
+ * Replace community labels with consecutive indices, in order of first appearance
+ */
+function renumber(community) {
+    const index = new Map();
+    return community.map(c => {
+        if (!index.has(c)) index.set(c, index.size);
+        return index.get(c);
+    });
+}
+
+/**
+ * Collapse each community into a single node; internal edges become self loops
+ */
+function aggregate(adjacency, community) {
+    const size = new Set(community).size;
+    const result = Array.from({ length: size }, () => new Map());
+
+    adjacency.forEach((row, i) => {
+        const a = community[i];
+        row.forEach((w, j) => {
+            const b = community[j];
+            result[a].set(b, (result[a].get(b) || 0) + w);
+        });
+    });
+
+    return result;
+}
+
+/**
+ * Hop distance from a node to every node reachable from it (breadth-first search)
+ * @param {Map<string, Set<string>>} neighbors - Neighbor map from buildNeighborMap
+ * @param {string} sourceId - Start node ID
+ * @returns {Map<string, number>} Node ID to hop count; unreachable nodes are absent
+ */
+export function hopDistances(neighbors, sourceId) {
+    const distances = new Map([[sourceId, 0]]);
+    const queue = [sourceId];
+
+    for (let i = 0; i < queue.length; i++) {
+        const current = queue[i];
+        for (const next of neighbors.get(current) || []) {
+            if (distances.has(next)) continue;
+            distances.set(next, distances.get(current) + 1);
+            queue.push(next);
+        }
+    }
+
+    return distances;
+}
+
+/**
+ * Degree of every node: the number of distinct neighbors
+ * @param {Map<string, Set<string>>} neighbors - Neighbor map from buildNeighborMap
+ * @param {string[]} nodeIds - IDs of all nodes
+ * @returns {Map<string, number>} Node ID to degree
+ */
+export function degreeCentrality(neighbors, nodeIds) {
+    return new Map(nodeIds.map(id => [id, neighbors.get(id)?.size ?? 0]));
+}
+
+/**
+ * Betweenness centrality of every node with Brandes' algorithm over hop counts
+ * @param {Map<string, Set<string>>} neighbors - Neighbor map from buildNeighborMap
+ * @param {string[]} nodeIds - IDs of all nodes
+ * @returns {Map<string, number>} Node ID to the number of shortest paths through it (undirected, each pair counted once)
+ */
+export function betweennessCentrality(neighbors, nodeIds) {
+    const centrality = new Map(nodeIds.map(id => [id, 0]));
+
+    nodeIds.forEach(source => {
+        const stack = [];
+        const predecessors = new Map();
+        const pathCount = new Map([[source, 1]]);
+        const distance = new Map([[source, 0]]);
+        const queue = [source];
+
+        for (let i = 0; i < queue.length; i++) {
+            const v = queue[i];
+            stack.push(v);
+            for (const w of neighbors.get(v) || []) {
+                if (!distance.has(w)) {
+                    distance.set(w, distance.get(v) + 1);
+                    queue.push(w);
+                }
+                if (distance.get(w) === distance.get(v) + 1) {
+                    pathCount.set(w, (pathCount.get(w) || 0) + pathCount.get(v));
+                    if (!predecessors.has(w)) predecessors.set(w, []);
+                    predecessors.get(w).push(v);
+                }
+            }
+        }
+
+        // Accumulate dependencies from the farthest nodes back to the source
+        const dependency = new Map();
+        while (stack.length > 0) {
+            const w = stack.pop();
+            for (const v of predecessors.get(w) || []) {
+                const share = pathCount.get(v) / pathCount.get(w) * (1 + (dependency.get(w) || 0));
+                dependency.set(v, (dependency.get(v) || 0) + share);
+            }
+            if (w !== source && centrality.has(w)) {
+                centrality.set(w, centrality.get(w) + (dependency.get(w) || 0));
+            }
+        }
+    });
+
+    // Every undirected path was counted from both of its ends
+    centrality.forEach((value, id) => centrality.set(id, value / 2));
+    return centrality;
+}
+
+/**
+ * PageRank of every node, treating each undirected edge as links in both directions
+ * @param {Map<string, Set<string>>} neighbors - Neighbor map from buildNeighborMap
+ * @param {string[]} nodeIds - IDs of all nodes
+ * @param {Object} [options]
+ * @param {number} [options.damping=0.85] - Probability of following a link rather than jumping anywhere
+ * @param {number} [options.iterations=100] - Maximum number of power iterations
+ * @param {number} [options.tolerance=1e-6] - Stop once the ranks change less than this in total
+ * @returns {Map<string, number>} Node ID to rank; ranks sum to 1
+ */
+export function pageRank(neighbors, nodeIds, { damping = 0.85, iterations = 100, tolerance = 1e-6 } = {}) {
+    const n = nodeIds.length;
+    if (n === 0) return new Map();
+
+    let rank = new Map(nodeIds.map(id => [id, 1 / n]));
+
+    for (let i = 0; i < iterations; i++) {
+        // Nodes without neighbors spread their rank evenly over the whole graph
+        const dangling = nodeIds.reduce((sum, id) => neighbors.get(id)?.size ? sum : sum + rank.get(id), 0);
+        const base = (1 - damping) / n + damping * dangling / n;
+        const next = new Map(nodeIds.map(id => [id, base]));
+
+        nodeIds.forEach(id => {
+            const targets = neighbors.get(id);
+            if (!targets?.size) return;
+            const share = damping * rank.get(id) / targets.size;
+            targets.forEach(target => {
+                if (next.has(target)) next.set(target, next.get(target) + share);
+            });
+        });
+
+        const change = nodeIds.reduce((sum, id) => sum + Math.abs(next.get(id) - rank.get(id)), 0);
+        rank = next;
+        if (change < tolerance) break;
+    }
+
+    return rank;
+}
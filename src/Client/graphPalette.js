@@ -0,0 +1,222 @@
+/**
+ * Color palettes for the relationship graph
+ * The theme palette is read from CSS custom properties, so the graph follows the app's theme and the projector
+ * color set by ambientColor.js; the built-in alternatives keep node types and roles apart for colorblind viewers
+ */
+import * as d3 from 'd3';
+
+// How often a changing theme (such as the animated projector color) is read again, in milliseconds
+const PALETTE_UPDATE_INTERVAL = 100;
+
+const nodeTypes = ['movie', 'series', 'friend', 'contributor', 'collection'];
+
+// Link colors by relationship, or by contributor role for WorkedOn links; these use the neutral link color
+const neutralLinks = ['WatchedWith', 'InCollection', 'BelongsToCollection', 'Other'];
+const roleLinks = ['Director', 'Actor', 'Writer', 'Cinematographer', 'Composer', 'Producer', 'ExecutiveProducer', 'CreatedBy'];
+
+// Theme palette, used wherever the CSS custom property is not set
+const themeDefaults = {
+    nodes: {
+        movie: '#c9a227',       // Gold/amber - matches the app's accent
+        series: '#9333ea',      // Purple
+        friend: '#22c55e',      // Green
+        contributor: '#0ea5e9', // Sky blue
+        collection: '#f43f5e'   // Rose
+    },
+    links: {
+        Director: '#fbbf24',
+        Actor: '#38bdf8',
+        Writer: '#34d399',
+        Cinematographer: '#f472b6',
+        Composer: '#a78bfa',
+        Producer: '#fb923c',
+        ExecutiveProducer: '#fb923c',
+        CreatedBy: '#fbbf24'
+    },
+    link: '#ffffff',
+    label: 'rgba(255, 255, 255, 0.8)',
+    foreground: '#ffffff',
+    background: '#0f0f0f',
+    highlight: '#ffffff',
+    compareFirst: '#38bdf8',
+    compareSecond: '#f472b6',
+    communities: d3.schemeTableau10
+};
+
+/**
+ * Built-in palettes safe for common color vision deficiencies. They replace the categorical colors
+ * (node types, contributor roles, comparison sides, communities); neutral colors still come from the theme.
+ */
+export const palettes = {
+    // Okabe & Ito, "Color Universal Design"
+    'okabe-ito': {
+        nodes: { movie: '#e69f00', series: '#cc79a7', friend: '#009e73', contributor: '#56b4e9', collection: '#d55e00' },
+        links: {
+            Director: '#f0e442',
+            Actor: '#56b4e9',
+            Writer: '#009e73',
+            Cinematographer: '#cc79a7',
+            Composer: '#0072b2',
+            Producer: '#d55e00',
+            ExecutiveProducer: '#d55e00',
+            CreatedBy: '#e69f00'
+        },
+        compareFirst: '#56b4e9',
+        compareSecond: '#e69f00',
+        communities: ['#e69f00', '#56b4e9', '#009e73', '#f0e442', '#0072b2', '#d55e00', '#cc79a7', '#999999']
+    },
+    // Paul Tol's "bright" qualitative scheme
+    'tol-bright': {
+        nodes: { movie: '#ccbb44', series: '#aa3377', friend: '#228833', contributor: '#66ccee', collection: '#ee6677' },
+        links: {
+            Director: '#ccbb44',
+            Actor: '#66ccee',
+            Writer: '#228833',
+            Cinematographer: '#aa3377',
+            Composer: '#4477aa',
+            Producer: '#ee6677',
+            ExecutiveProducer: '#ee6677',
+            CreatedBy: '#ccbb44'
+        },
+        compareFirst: '#66ccee',
+        compareSecond: '#ee6677',
+        communities: ['#4477aa', '#66ccee', '#228833', '#ccbb44', '#ee6677', '#aa3377', '#bbbbbb']
+    }
+};
+
+/**
+ * Read the graph palette for an element. The theme palette comes from CSS custom properties:
+ * --graph-movie, --graph-series, --graph-friend, --graph-contributor and --graph-collection for node types,
+ * --graph-role-director, --graph-role-actor, ... for contributor roles, --graph-link for other links,
+ * --graph-label, --graph-foreground (rings, initials) and --graph-background (badges). Highlighted paths and
+ * selections use --graph-highlight, or else the projector color (--projector-r/g/b); the two sides of
+ * a comparison use --graph-compare-first and --graph-compare-second.
+ * A built-in palette can be chosen by name, or through the --graph-palette property.
+ * @param {Element} element - Element whose computed style is read (usually the graph container)
+ * @param {string|Object} [choice] - 'theme', a built-in palette name, or an object overriding parts of the theme palette
+ * @returns {Object} Palette of CSS colors: { name, nodes, links, label, foreground, background, highlight,
+ *   compareFirst, compareSecond, communities }
+ */
+export function readPalette(element, choice) {
+    const style = getComputedStyle(element);
+    const property = name => style.getPropertyValue(name).trim().replace(/^['"]|['"]$/g, '') || null;
+
+    const link = property('--graph-link') ?? themeDefaults.link;
+    const theme = {
+        nodes: Object.fromEntries(nodeTypes.map(type => [type, property(`--graph-${type}`) ?? themeDefaults.nodes[type]])),
+        links: {
+            ...Object.fromEntries(neutralLinks.map(key => [key, link])),
+            ...Object.fromEntries(roleLinks.map(role => [role, property(`--graph-role-${kebabCase(role)}`) ?? themeDefaults.links[role]]))
+        },
+        label: property('--graph-label') ?? themeDefaults.label,
+        foreground: property('--graph-foreground') ?? themeDefaults.foreground,
+        background: property('--graph-background') ?? themeDefaults.background,
+        highlight: property('--graph-highlight') ?? projectorColor(property) ?? themeDefaults.highlight,
+        compareFirst: property('--graph-compare-first') ?? themeDefaults.compareFirst,
+        compareSecond: property('--graph-compare-second') ?? themeDefaults.compareSecond,
+        communities: themeDefaults.communities
+    };
+
+    const custom = typeof choice === 'object' && choice !== null;
+    let name = custom ? 'custom' : (choice ?? property('--graph-palette') ?? 'theme');
+    if (!custom && name !== 'theme' && !palettes[name]) {
+        console.debug('Unknown graph palette, using the theme:', name);
+        name = 'theme';
+    }
+    const overrides = custom ? choice : (palettes[name] ?? {});
+
+    const palette = {
+        ...theme,
+        ...overrides,
+        name,
+        nodes: { ...theme.nodes, ...overrides.nodes },
+        links: { ...theme.links, ...overrides.links }
+    };
+
+    return validatePalette(palette);
+}
+
+/**
+ * Call back when the CSS the palette is read from may have changed: style, class or theme attributes
+ * of the element or its ancestors (ambientColor.js sets the projector color on the root element) and
+ * color scheme preferences. Calls are throttled, so an animated color is followed without a callback per frame.
+ * @param {Element} element - Element the palette is read from
+ * @param {Function} onChange - Called after a possible change
+ * @returns {Function} Stops watching
+ */
+export function watchPalette(element, onChange) {
+    let timer = null;
+    const schedule = () => {
+        if (timer === null) {
+            timer = setTimeout(() => {
+                timer = null;
+                onChange();
+            }, PALETTE_UPDATE_INTERVAL);
+        }
+    };
+
+    const observer = new MutationObserver(schedule);
+    for (let el = element; el; el = el.parentElement) {
+        observer.observe(el, { attributes: true, attributeFilter: ['style', 'class', 'data-theme'] });
+    }
+
+    const queries = ['(prefers-color-scheme: dark)', '(forced-colors: active)']
+        .map(query => window.matchMedia?.(query))
+        .filter(Boolean);
+    queries.forEach(query => query.addEventListener?.('change', schedule));
+
+    return () => {
+        observer.disconnect();
+        queries.forEach(query => query.removeEventListener?.('change', schedule));
+        clearTimeout(timer);
+        timer = null;
+    };
+}
+
+/**
+ * Whether two palettes have the same colors
+ */
+export function samePalette(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * The projector color from --projector-r/g/b, or null if it is not set
+ */
+function projectorColor(property) {
+    const channels = ['--projector-r', '--projector-g', '--projector-b'].map(name => parseFloat(property(name)));
+    return channels.every(Number.isFinite) ? `rgb(${channels.map(Math.round).join(', ')})` : null;
+}
+
+/**
+ * Replace colors CSS cannot parse with the theme defaults, so one bad property does not break drawing
+ */
+function validatePalette(palette) {
+    const check = (color, fallback, name) => {
+        if (d3.color(color)) return color;
+        console.debug('Invalid graph palette color, using the default:', name, color);
+        return fallback;
+    };
+
+    nodeTypes.forEach(type => {
+        palette.nodes[type] = check(palette.nodes[type], themeDefaults.nodes[type], type);
+    });
+    Object.keys(palette.links).forEach(key => {
+        palette.links[key] = check(palette.links[key], themeDefaults.links[key] ?? themeDefaults.link, key);
+    });
+    ['label', 'foreground', 'background', 'highlight', 'compareFirst', 'compareSecond'].forEach(key => {
+        palette[key] = check(palette[key], themeDefaults[key], key);
+    });
+    if (!Array.isArray(palette.communities) || palette.communities.length === 0) {
+        palette.communities = themeDefaults.communities;
+    }
+
+    return palette;
+}
+
+/**
+ * 'ExecutiveProducer' -> 'executive-producer'
+ */
+function kebabCase(name) {
+    return name.replace(/[A-Z]/g, (letter, i) => (i ? '-' : '') + letter.toLowerCase());
+}
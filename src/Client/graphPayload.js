@@ -0,0 +1,256 @@
+/**
+ * Decoder for the relationship graph payload passed from F#
+ * Checks every GraphNode and GraphEdge against the shape Fable produces ({ Case, Fields } unions)
+ * and reports what it cannot decode instead of silently dropping it
+ */
+
+/** ContributorRole cases in F# declaration order (a Fable union instance's tag indexes this) */
+export const contributorRoles = [
+    'Director', 'Actor', 'Writer', 'Cinematographer', 'Composer',
+    'Producer', 'ExecutiveProducer', 'CreatedBy', 'Other'
+];
+
+// GraphNode cases: node type, the property holding the ID, and the optional string fields after the name
+const nodeCases = {
+    MovieNode: { type: 'movie', idField: 'entryId', optional: ['posterPath'] },
+    SeriesNode: { type: 'series', idField: 'entryId', optional: ['posterPath'] },
+    FriendNode: { type: 'friend', idField: 'friendId', optional: ['avatarUrl'] },
+    ContributorNode: { type: 'contributor', idField: 'contributorId', optional: ['profilePath', 'knownFor'] },
+    CollectionNode: { type: 'collection', idField: 'collectionId', optional: ['coverImagePath'] }
+};
+
+/**
+ * Decode a RelationshipGraph payload ({ Nodes, Edges }). Problems are reported as diagnostics
+ * ({ severity: 'error'|'warning', code, path, message, value }): errors drop the node or edge,
+ * warnings keep it with the offending field cleared.
+ * Edge endpoints are resolved against a set of node IDs, so decoding is linear in the payload size.
+ * @param {Object} payload - Graph payload with Nodes and Edges arrays
+ * @param {Object} [options]
+ * @param {Function} [options.onDiagnostic] - Called with each diagnostic as it is found
+ * @param {Iterable<string>} [options.knownIds] - IDs of nodes outside the payload that edges may connect to
+ * @returns {{ nodes: Object[], edges: Object[], diagnostics: Object[] }} Decoded nodes, edges as
+ *   { source, target, detail } with endpoint IDs, and all diagnostics
+ */
+export function decodeGraph(payload, { onDiagnostic, knownIds = [] } = {}) {
+    const diagnostics = [];
+    const report = (severity, code, path, message, value) => {
+        const diagnostic = { severity, code, path, message, value };
+        diagnostics.push(diagnostic);
+        onDiagnostic?.(diagnostic);
+    };
+
+    if (!isObject(payload)) {
+        report('error', 'malformed-payload', '', 'Expected a graph payload with Nodes and Edges', payload);
+        return { nodes: [], edges: [], diagnostics };
+    }
+
+    const ids = new Set(knownIds);
+    const decoded = new Set();
+    const nodes = [];
+    listField(payload, 'Nodes', report).forEach((value, i) => {
+        const node = decodeNode(value, `Nodes[${i}]`, report);
+        if (!node) return;
+        if (decoded.has(node.id)) {
+            report('warning', 'duplicate-node', `Nodes[${i}]`, `Node ${node.id} appears more than once`, value);
+            return;
+        }
+        decoded.add(node.id);
+        ids.add(node.id);
+        nodes.push(node);
+    });
+
+    const edges = [];
+    listField(payload, 'Edges', report).forEach((value, i) => {
+        const path = `Edges[${i}]`;
+        if (!isObject(value)) {
+            report('error', 'malformed-edge', path, 'Expected a { Source, Target, Relationship } edge', value);
+            return;
+        }
+
+        const source = decodeNodeId(value.Source, `${path}.Source`, report);
+        const target = decodeNodeId(value.Target, `${path}.Target`, report);
+        const detail = decodeRelationship(value.Relationship, `${path}.Relationship`, report);
+        if (!source || !target || !detail) return;
+
+        const missing = [source, target].find(id => !ids.has(id));
+        if (missing) {
+            report('warning', 'unknown-endpoint', path, `Edge endpoint ${missing} is not a node of the graph`, value);
+            return;
+        }
+
+        edges.push({ source, target, detail });
+    });
+
+    return { nodes, edges, diagnostics };
+}
+
+/**
+ * Decode a GraphNode union into a graph node ({ id, type, <idField>, name, ...optional fields })
+ * @param {Object} value - { Case, Fields } of a GraphNode
+ * @param {string} path - Location in the payload, for diagnostics
+ * @param {Function} report - Diagnostic reporter (severity, code, path, message, value)
+ * @returns {Object|null} The node, or null if it cannot be decoded
+ */
+export function decodeNode(value, path, report) {
+    const spec = nodeCase(value, path, report);
+    if (!spec) return null;
+
+    const fields = value.Fields;
+    const expected = 2 + spec.optional.length;
+    if (!Array.isArray(fields) || fields.length < expected) {
+        report('error', 'malformed-field', `${path}.Fields`, `${value.Case} expects ${expected} fields`, fields);
+        return null;
+    }
+    if (fields.length > expected) {
+        report('warning', 'unexpected-field', `${path}.Fields`, `${value.Case} has ${fields.length} fields, expected ${expected}`, fields);
+    }
+
+    const id = decodeId(fields[0], `${path}.Fields[0]`, report);
+    if (id === null) return null;
+
+    if (typeof fields[1] !== 'string') {
+        report('error', 'malformed-field', `${path}.Fields[1]`, `${value.Case} name must be a string`, fields[1]);
+        return null;
+    }
+
+    const node = { id: `${spec.type}-${id}`, type: spec.type, [spec.idField]: id, name: fields[1] };
+    spec.optional.forEach((field, i) => {
+        node[field] = decodeOptionalString(fields[2 + i], `${path}.Fields[${2 + i}]`, report);
+    });
+
+    return node;
+}
+
+/**
+ * Decode an EdgeRelationship union into { relationship, ... } with its payload: the contributor role
+ * (with the character or department) of WorkedOn and the collection ID of InCollection
+ * @param {Object} value - { Case, Fields } of an EdgeRelationship
+ * @param {string} path - Location in the payload, for diagnostics
+ * @param {Function} report - Diagnostic reporter (severity, code, path, message, value)
+ * @returns {Object|null} The relationship detail, or null if it cannot be decoded
+ */
+export function decodeRelationship(value, path, report) {
+    if (!isObject(value) || typeof value.Case !== 'string') {
+        report('error', 'malformed-relationship', path, 'Expected an EdgeRelationship { Case, Fields } union', value);
+        return null;
+    }
+
+    const [payload] = value.Fields || [];
+
+    switch (value.Case) {
+        case 'WatchedWith':
+        case 'BelongsToCollection':
+            return { relationship: value.Case };
+        case 'WorkedOn':
+            return { relationship: 'WorkedOn', ...decodeRole(payload, `${path}.Fields[0]`, report) };
+        case 'InCollection': {
+            // The edge is still meaningful without its collection ID, so a bad ID is only a warning
+            const collectionId = decodeId(payload, `${path}.Fields[0]`, (_, ...rest) => report('warning', ...rest));
+            return { relationship: 'InCollection', collectionId };
+        }
+        default:
+            report('error', 'unknown-case', `${path}.Case`, `Unknown EdgeRelationship case '${value.Case}'`, value.Case);
+            return null;
+    }
+}
+
+/**
+ * Decode a ContributorRole, given as { Case, Fields }, a Fable union instance ({ tag, fields }) or a case name
+ */
+function decodeRole(value, path, report) {
+    const role = parseUnion(value, contributorRoles);
+    const detail = { role: null, character: null, department: null };
+
+    if (!contributorRoles.includes(role.name)) {
+        report('warning', 'unknown-case', path, `Unknown ContributorRole '${role.name}'`, value);
+        return detail;
+    }
+
+    detail.role = role.name;
+    if (role.name === 'Actor') {
+        detail.character = decodeOptionalString(role.fields[0], `${path}.Fields[0]`, report);
+    } else if (role.name === 'Other') {
+        detail.department = decodeOptionalString(role.fields[0], `${path}.Fields[0]`, report);
+    }
+
+    return detail;
+}
+
+/**
+ * Read a union value passed from F#: either the { Case, Fields } shape used for JSON
+ * or a Fable union instance ({ tag, fields })
+ */
+function parseUnion(value, cases) {
+    if (!value) return { name: null, fields: [] };
+    if (value.Case) return { name: value.Case, fields: value.Fields || [] };
+    if (typeof value === 'string') return { name: value, fields: [] };
+    return { name: cases[value.tag] ?? value.name ?? null, fields: value.fields || [] };
+}
+
+/**
+ * The ID of an edge endpoint; only the case and ID are checked, as the node itself is decoded from Nodes
+ */
+function decodeNodeId(value, path, report) {
+    const spec = nodeCase(value, path, report);
+    if (!spec) return null;
+
+    const id = decodeId(value.Fields?.[0], `${path}.Fields[0]`, report);
+    return id === null ? null : `${spec.type}-${id}`;
+}
+
+/**
+ * Look up the GraphNode case of a union value, reporting unknown cases
+ */
+function nodeCase(value, path, report) {
+    if (!isObject(value) || typeof value.Case !== 'string') {
+        report('error', 'malformed-node', path, 'Expected a GraphNode { Case, Fields } union', value);
+        return null;
+    }
+
+    const spec = nodeCases[value.Case];
+    if (!spec) {
+        report('error', 'unknown-case', `${path}.Case`, `Unknown GraphNode case '${value.Case}'`, value.Case);
+        return null;
+    }
+    return spec;
+}
+
+/**
+ * Decode a single-case ID union (EntryId, FriendId, ...): { Fields: [id] }, a Fable instance or a bare integer
+ */
+function decodeId(value, path, report) {
+    const id = Number.isInteger(value) ? value : (value?.Fields ?? value?.fields)?.[0];
+    if (!Number.isInteger(id)) {
+        report('error', 'malformed-field', path, 'Expected an integer ID', value);
+        return null;
+    }
+    return id;
+}
+
+/**
+ * Decode a string option (a string, or null/undefined for None); anything else is reported and cleared
+ */
+function decodeOptionalString(value, path, report) {
+    if (value === null || value === undefined) return null;
+    if (typeof value === 'string') return value;
+
+    report('warning', 'malformed-field', path, 'Expected a string or null', value);
+    return null;
+}
+
+/**
+ * The array under a payload key; a missing or malformed list is reported and read as empty
+ */
+function listField(payload, key, report) {
+    if (Array.isArray(payload[key])) return payload[key];
+
+    report('error', 'malformed-payload', key, `Expected ${key} to be an array`, payload[key]);
+    return [];
+}
+
+/**
+ * Whether a value is a non-null object
+ */
+function isObject(value) {
+    return typeof value === 'object' && value !== null;
+}
@@ -0,0 +1,129 @@
+/**
+ * Compact encoding of the relationship graph's view state, for sharing a view through the URL
+ * The string only uses URL-safe characters, so it can go into the Graph route's query string as is
+ */
+
+// One letter per node type; node IDs are written as letter + numeric ID ('movie-12' -> 'm12')
+const typeCodes = { movie: 'm', series: 's', friend: 'f', contributor: 'p', collection: 'c' };
+const codeTypes = Object.fromEntries(Object.entries(typeCodes).map(([type, code]) => [code, type]));
+
+// Sections are separated by '~' and start with their key; list items are separated by '_'
+const SECTION_SEPARATOR = '~';
+const ITEM_SEPARATOR = '_';
+
+/**
+ * An empty view state: no saved transform, focus, selection, hidden types or pins
+ * @returns {Object} { transform, focus, selection, hiddenTypes, pinned }
+ */
+export function emptyViewState() {
+    return { transform: null, focus: null, selection: [], hiddenTypes: [], pinned: {} };
+}
+
+/**
+ * Encode a view state, e.g. 't-120_40_1.5~fm12~sm12_f3~hpc~pm12.10.-20'.
+ * Translations and pinned positions are rounded to whole pixels, the scale to three decimals.
+ * @param {Object} state - { transform: { x, y, k }, focus, selection: [id], hiddenTypes: [type], pinned: { id: { x, y } } }
+ * @returns {string} The encoded state; empty when there is nothing to restore
+ */
+export function encodeViewState({ transform, focus, selection = [], hiddenTypes = [], pinned = {} }) {
+    const sections = [];
+    const nodes = ids => ids.map(encodeNodeId).filter(Boolean);
+
+    if (transform) {
+        sections.push('t' + [Math.round(transform.x), Math.round(transform.y), round(transform.k, 1000)].join(ITEM_SEPARATOR));
+    }
+    if (focus && encodeNodeId(focus)) {
+        sections.push('f' + encodeNodeId(focus));
+    }
+    if (nodes(selection).length > 0) {
+        sections.push('s' + nodes(selection).join(ITEM_SEPARATOR));
+    }
+    const hidden = hiddenTypes.map(type => typeCodes[type]).filter(Boolean);
+    if (hidden.length > 0) {
+        sections.push('h' + hidden.join(''));
+    }
+    const pins = Object.entries(pinned)
+        .filter(([id]) => encodeNodeId(id))
+        .map(([id, { x, y }]) => [encodeNodeId(id), Math.round(x), Math.round(y)].join('.'));
+    if (pins.length > 0) {
+        sections.push('p' + pins.join(ITEM_SEPARATOR));
+    }
+
+    return sections.join(SECTION_SEPARATOR);
+}
+
+/**
+ * Decode a string from encodeViewState. Malformed sections are skipped, so a mangled link still
+ * restores what it can.
+ * @param {string} text - Encoded view state
+ * @returns {Object} { transform, focus, selection, hiddenTypes, pinned }, empty for an empty or missing string
+ */
+export function decodeViewState(text) {
+    const state = emptyViewState();
+    if (typeof text !== 'string' || text === '') return state;
+
+    text.split(SECTION_SEPARATOR).forEach(section => {
+        const body = section.slice(1);
+        const items = body.split(ITEM_SEPARATOR);
+
+        switch (section[0]) {
+            case 't': {
+                const [x, y, k] = items.map(Number);
+                if (items.length === 3 && [x, y, k].every(Number.isFinite) && k > 0) {
+                    state.transform = { x, y, k };
+                    return;
+                }
+                break;
+            }
+            case 'f':
+                state.focus = decodeNodeId(body);
+                if (state.focus) return;
+                break;
+            case 's':
+                state.selection = items.map(decodeNodeId).filter(Boolean);
+                if (state.selection.length === items.length) return;
+                break;
+            case 'h':
+                state.hiddenTypes = Array.from(body, code => codeTypes[code]).filter(Boolean);
+                if (state.hiddenTypes.length === body.length) return;
+                break;
+            case 'p': {
+                const pins = items.map(item => {
+                    const [node, x, y] = item.split('.');
+                    const id = decodeNodeId(node);
+                    return id && x !== '' && y !== '' && Number.isFinite(+x) && Number.isFinite(+y) ? [id, { x: +x, y: +y }] : null;
+                });
+                state.pinned = Object.fromEntries(pins.filter(Boolean));
+                if (pins.every(Boolean)) return;
+                break;
+            }
+        }
+
+        console.debug('Skipping malformed graph view state section:', section);
+    });
+
+    return state;
+}
+
+/**
+ * 'movie-12' -> 'm12', or null for IDs that do not follow the '<type>-<number>' scheme
+ */
+function encodeNodeId(id) {
+    const match = /^([a-z]+)-(\d+)$/.exec(id);
+    return match && typeCodes[match[1]] ? typeCodes[match[1]] + match[2] : null;
+}
+
+/**
+ * 'm12' -> 'movie-12', or null
+ */
+function decodeNodeId(code) {
+    const match = /^([a-z])(\d+)$/.exec(code);
+    return match && codeTypes[match[1]] ? `${codeTypes[match[1]]}-${match[2]}` : null;
+}
+
+/**
+ * Round to a fraction (1000 rounds to three decimals)
+ */
+function round(value, fraction) {
+    return Math.round(value * fraction) / fraction;
+}
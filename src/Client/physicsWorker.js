@@ -0,0 +1,119 @@
+/**
+ * Web Worker running the relationship graph's force simulation off the main thread.
+ * The main thread (workerSimulation.js) sends the node state and a plain description of the forces,
+ * then asks for one step per animation frame; each reply carries the new positions and velocities.
+ */
+import * as d3 from 'd3';
+
+let simulation = null;
+let nodes = [];
+
+self.onmessage = ({ data }) => {
+    if (data.type === 'configure') {
+        configure(data);
+    } else if (data.type === 'step') {
+        step(data);
+    }
+};
+
+/**
+ * Rebuild the simulation from the main thread's node state and force descriptions,
+ * optionally running the first ticks right away so the graph appears settled.
+ * Fixed positions are applied first, so pinned nodes hold still during those ticks.
+ */
+function configure({ state, fixed, forces, parameters, warmupTicks }) {
+    const count = state.length / 4;
+    if (nodes.length !== count) {
+        nodes = Array.from({ length: count }, () => ({}));
+    }
+    nodes.forEach((d, i) => {
+        d.x = state[i * 4];
+        d.y = state[i * 4 + 1];
+        d.vx = state[i * 4 + 2];
+        d.vy = state[i * 4 + 3];
+    });
+    applyFixed(fixed);
+
+    simulation = d3.forceSimulation(nodes)
+        .stop()
+        .alpha(parameters.alpha)
+        .alphaTarget(parameters.alphaTarget)
+        .alphaMin(parameters.alphaMin)
+        .alphaDecay(parameters.alphaDecay)
+        .velocityDecay(parameters.velocityDecay);
+
+    forces.forEach(description => {
+        simulation.force(description.name, buildForce(description));
+    });
+
+    if (warmupTicks > 0) {
+        simulation.tick(warmupTicks);
+    }
+}
+
+/**
+ * Advance the simulation one tick with the main thread's fixed positions (dragged or pinned nodes)
+ */
+function step({ fixed }) {
+    if (!simulation) return;
+
+    applyFixed(fixed);
+    simulation.tick();
+
+    const state = new Float64Array(nodes.length * 4);
+    nodes.forEach((d, i) => {
+        state[i * 4] = d.x;
+        state[i * 4 + 1] = d.y;
+        state[i * 4 + 2] = d.vx;
+        state[i * 4 + 3] = d.vy;
+    });
+
+    const alpha = simulation.alpha();
+    self.postMessage({ type: 'tick', state, alpha, ended: alpha < simulation.alphaMin() }, [state.buffer]);
+}
+
+/**
+ * Set each node's fx/fy from the main thread's fixed positions (NaN for free coordinates)
+ */
+function applyFixed(fixed) {
+    nodes.forEach((d, i) => {
+        d.fx = Number.isNaN(fixed[i * 2]) ? null : fixed[i * 2];
+        d.fy = Number.isNaN(fixed[i * 2 + 1]) ? null : fixed[i * 2 + 1];
+    });
+}
+
+/**
+ * Create a d3 force from its description; per-node and per-link values arrive as arrays
+ */
+function buildForce({ type, ...p }) {
+    const byIndex = values => (_, i) => values[i];
+
+    switch (type) {
+        case 'link':
+            return d3.forceLink(p.links.map(([source, target]) => ({ source, target })))
+                .distance(byIndex(p.distance))
+                .strength(byIndex(p.strength))
+                .iterations(p.iterations);
+        case 'manyBody':
+            return d3.forceManyBody()
+                .strength(byIndex(p.strength))
+                .theta(p.theta)
+                .distanceMin(p.distanceMin)
+                .distanceMax(p.distanceMax);
+        case 'center':
+            return d3.forceCenter(p.x, p.y).strength(p.strength);
+        case 'collide':
+            return d3.forceCollide()
+                .radius(byIndex(p.radius))
+                .strength(p.strength)
+                .iterations(p.iterations);
+        case 'radial':
+            return d3.forceRadial(byIndex(p.radius), p.x, p.y).strength(byIndex(p.strength));
+        case 'x':
+            return d3.forceX(byIndex(p.x)).strength(byIndex(p.strength));
+        case 'y':
+            return d3.forceY(byIndex(p.y)).strength(byIndex(p.strength));
+        default:
+            return null;
+    }
+}
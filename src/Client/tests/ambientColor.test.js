@@ -0,0 +1,76 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { installDom } from './dom.js';
+
+/** n copies of a pixel, with a little noise so median cut has ranges to split */
+const pixels = (n, [r, g, b]) => Array.from({ length: n }, (_, i) => [r + (i % 5), g - (i % 3), b + (i % 4)]);
+
+describe('paletteFromPixels', () => {
+    let removeDom;
+    let paletteFromPixels;
+    let extractPalette;
+
+    before(async () => {
+        removeDom = installDom();
+        ({ paletteFromPixels, extractPalette } = await import('../ambientColor.js'));
+    });
+
+    after(() => removeDom());
+
+    it('keeps two strong colors apart instead of mixing them', () => {
+        const palette = paletteFromPixels([
+            ...pixels(300, [230, 120, 30]),  // Orange
+            ...pixels(200, [20, 140, 150]),  // Teal
+            ...pixels(100, [15, 25, 40])     // Navy shadows
+        ]);
+
+        const near = (color, [r, g, b]) => Math.abs(color.r - r) + Math.abs(color.g - g) + Math.abs(color.b - b) < 20;
+        assert.ok(near(palette.dominant, [232, 119, 31]), 'dominant is the orange');
+        assert.ok(near(palette.vibrant, [232, 119, 31]) || near(palette.vibrant, [22, 139, 151]), 'vibrant is orange or teal');
+        assert.ok(near(palette.dark, [17, 24, 41]), 'dark is the navy');
+        assert.ok(palette.muted.r > palette.muted.b, 'muted is derived from the orange');
+    });
+
+    it('picks the dominant color by pixel share, not by median cut box size', () => {
+        // The orange spreads over several boxes; the tight teal box alone is larger than any of them
+        const spread = Array.from({ length: 400 }, (_, i) => [200 + (i % 50), 110 + (i % 7), 30]);
+        const palette = paletteFromPixels([...spread, ...pixels(300, [20, 140, 150])]);
+
+        assert.ok(palette.dominant.r > 190 && palette.dominant.b < 60, 'dominant is the orange');
+    });
+
+    it('derives missing swatches from the dominant color', () => {
+        const palette = paletteFromPixels(Array.from({ length: 50 }, () => [128, 128, 128]));
+
+        assert.deepEqual(Object.keys(palette), ['projector', 'dominant', 'vibrant', 'muted', 'dark']);
+        assert.equal(palette.muted.r, palette.muted.b);
+        assert.ok(palette.dark.r < 64);
+    });
+
+    it('returns null without pixels', () => {
+        assert.equal(paletteFromPixels([]), null);
+        assert.equal(extractPalette([]), null);
+    });
+
+    it('publishes the swatches as custom properties next to the projector color', async () => {
+        await new Promise(resolve => setTimeout(resolve, 50));
+        const style = document.documentElement.style;
+
+        assert.equal(style.getPropertyValue('--projector-dominant-r'), '255');
+        ['projector', 'projector-vibrant', 'projector-muted', 'projector-dark'].forEach(name => {
+            assert.match(style.getPropertyValue(`--${name}-g`), /^\d+$/);
+        });
+    });
+
+    it('matches the stylesheet defaults to the default palette', async () => {
+        const css = await readFile(new URL('../styles.css', import.meta.url), 'utf8');
+        const style = document.documentElement.style;
+
+        ['dominant', 'vibrant', 'muted', 'dark'].flatMap(role => ['r', 'g', 'b'].map(c => `--projector-${role}-${c}`))
+            .forEach(name => {
+                const declared = new RegExp(`${name}:\\s*(\\d+);`).exec(css)?.[1];
+                assert.equal(declared, style.getPropertyValue(name), name);
+            });
+    });
+});
@@ -0,0 +1,44 @@
+/**
+ * Minimal browser environment for running forceGraph.js under Node: a jsdom window whose globals
+ * are installed on globalThis, with the layout APIs jsdom lacks stubbed to a fixed 800×600 viewport
+ */
+import { JSDOM } from 'jsdom';
+
+const globals = [
+    'window', 'document', 'navigator', 'Image', 'Element', 'HTMLElement', 'SVGElement', 'Node',
+    'Event', 'KeyboardEvent', 'MouseEvent', 'CustomEvent', 'MutationObserver', 'getComputedStyle',
+    'requestAnimationFrame', 'cancelAnimationFrame', 'matchMedia'
+];
+
+/**
+ * Install a fresh jsdom document with a #graph container
+ * @returns {Function} Removes the globals again; the window stays open, as d3 timers still pending
+ *   (transitions, the simulation) keep scheduling animation frames on it
+ */
+export function installDom() {
+    const { window } = new JSDOM(
+        '<!doctype html><html><body><div id="graph"></div></body></html>',
+        { pretendToBeVisual: true, url: 'http://localhost/' });
+
+    Object.defineProperty(window.HTMLElement.prototype, 'clientWidth', { get: () => 800 });
+    Object.defineProperty(window.HTMLElement.prototype, 'clientHeight', { get: () => 600 });
+    window.SVGElement.prototype.getBBox = () => ({ x: 0, y: 0, width: 100, height: 20 });
+    window.matchMedia ??= () => ({ matches: false, addEventListener() {}, removeEventListener() {} });
+
+    const previous = new Map(globals.map(key => [key, Object.getOwnPropertyDescriptor(globalThis, key)]));
+    globals.forEach(key => {
+        const value = window[key];
+        Object.defineProperty(globalThis, key, {
+            value: typeof value === 'function' && /^[a-z]/.test(key) ? value.bind(window) : value,
+            configurable: true,
+            writable: true
+        });
+    });
+
+    return () => {
+        previous.forEach((descriptor, key) => {
+            if (descriptor) Object.defineProperty(globalThis, key, descriptor);
+            else delete globalThis[key];
+        });
+    };
+}
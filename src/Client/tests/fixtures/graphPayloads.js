@@ -0,0 +1,52 @@
+/**
+ * Graph payloads as the Graph page passes them to forceGraph.js (see toJsGraph in Pages/Graph/View.fs):
+ * GraphNode and EdgeRelationship unions as { Case, Fields }, ID unions as { Fields: [id] }
+ * and ContributorRole as a Fable union instance
+ */
+
+export const movie = { Case: 'MovieNode', Fields: [{ Fields: [1] }, 'Heat', '/heat.jpg'] };
+export const movieWithoutPoster = { Case: 'MovieNode', Fields: [{ Fields: [2] }, 'Ronin', null] };
+export const series = { Case: 'SeriesNode', Fields: [{ Fields: [3] }, 'The Wire', '/wire.jpg'] };
+export const friend = { Case: 'FriendNode', Fields: [{ Fields: [4] }, 'Alex Doe', null] };
+export const contributor = { Case: 'ContributorNode', Fields: [{ Fields: [5] }, 'Michael Mann', '/mann.jpg', 'Directing'] };
+export const collection = { Case: 'CollectionNode', Fields: [{ Fields: [6] }, 'Crime Classics', null] };
+
+export const allNodes = [movie, movieWithoutPoster, series, friend, contributor, collection];
+
+/** Fable union instance of a ContributorRole case */
+export const role = (tag, ...fields) => ({ tag, fields });
+
+/** One edge per EdgeRelationship case and ContributorRole, in F# declaration order */
+export const relationships = {
+    WatchedWith: { Case: 'WatchedWith' },
+    Director: { Case: 'WorkedOn', Fields: [role(0)] },
+    Actor: { Case: 'WorkedOn', Fields: [role(1, 'Neil McCauley')] },
+    ActorWithoutCharacter: { Case: 'WorkedOn', Fields: [role(1, null)] },
+    Writer: { Case: 'WorkedOn', Fields: [role(2)] },
+    Cinematographer: { Case: 'WorkedOn', Fields: [role(3)] },
+    Composer: { Case: 'WorkedOn', Fields: [role(4)] },
+    Producer: { Case: 'WorkedOn', Fields: [role(5)] },
+    ExecutiveProducer: { Case: 'WorkedOn', Fields: [role(6)] },
+    CreatedBy: { Case: 'WorkedOn', Fields: [role(7)] },
+    Other: { Case: 'WorkedOn', Fields: [role(8, 'Sound')] },
+    RoleAsJson: { Case: 'WorkedOn', Fields: [{ Case: 'Actor', Fields: ['Vincent Hanna'] }] },
+    InCollection: { Case: 'InCollection', Fields: [6] },
+    BelongsToCollection: { Case: 'BelongsToCollection' }
+};
+
+export const edge = (Source, Target, Relationship) => ({ Source, Target, Relationship });
+
+/** A graph using every node case and every relationship */
+export const fullGraph = {
+    Nodes: allNodes,
+    Edges: [
+        edge(movie, friend, relationships.WatchedWith),
+        edge(series, friend, relationships.WatchedWith),
+        edge(contributor, movie, relationships.Director),
+        edge(contributor, movie, relationships.Writer),
+        edge(contributor, movieWithoutPoster, relationships.Actor),
+        edge(contributor, series, relationships.Other),
+        edge(movie, collection, relationships.InCollection),
+        edge(collection, movieWithoutPoster, relationships.BelongsToCollection)
+    ]
+};
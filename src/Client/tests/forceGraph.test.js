@@ -0,0 +1,172 @@
+import { describe, it, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { installDom } from './dom.js';
+import { movie, friend, contributor, relationships, edge, fullGraph } from './fixtures/graphPayloads.js';
+
+describe('initializeGraph', () => {
+    let removeDom;
+    let initializeGraph;
+    let graph;
+
+    before(async () => {
+        removeDom = installDom();
+        ({ initializeGraph } = await import('../forceGraph.js'));
+    });
+
+    after(() => removeDom());
+
+    beforeEach(() => {
+        mock.method(console, 'debug', () => {});
+    });
+
+    afterEach(() => {
+        graph?.destroy();
+        graph = null;
+        mock.restoreAll();
+    });
+
+    /** Render a payload with the physics on the main thread */
+    const render = (payload, options = {}) =>
+        initializeGraph('graph', payload, () => {}, () => {}, { worker: false, renderer: 'svg', minimap: false, ...options });
+
+    it('renders every node case and relationship', () => {
+        const diagnostics = [];
+        graph = render(fullGraph, { onDiagnostic: d => diagnostics.push(d) });
+
+        const { nodes, links } = graph.exportJson();
+        assert.deepEqual(nodes.map(d => d.type).sort(),
+            ['collection', 'contributor', 'friend', 'movie', 'movie', 'series']);
+        assert.equal(document.querySelectorAll('#graph g.nodes > g').length, 6);
+        assert.equal(diagnostics.length, 0);
+
+        // Director and Writer credits on the same movie merge into one link
+        const credits = links.find(l => l.source === 'contributor-5' && l.target === 'movie-1');
+        assert.equal(credits.relationship, 'WorkedOn');
+        assert.equal(credits.weight, 2);
+        assert.deepEqual(credits.details.map(d => d.role), ['Director', 'Writer']);
+        assert.equal(links.length, 7);
+    });
+
+    it('renders a well-formed payload without logging', () => {
+        const log = mock.method(console, 'log', () => {});
+        graph = render(fullGraph);
+
+        assert.equal(log.mock.callCount(), 0);
+        assert.equal(console.debug.mock.callCount(), 0);
+    });
+
+    it('reports malformed payload entries through onDiagnostic and renders the rest', () => {
+        const diagnostics = [];
+        graph = render({
+            Nodes: [movie, friend, { Case: 'StudioNode', Fields: [] }],
+            Edges: [
+                edge(movie, friend, relationships.WatchedWith),
+                edge(contributor, movie, relationships.Director)
+            ]
+        }, { onDiagnostic: d => diagnostics.push(d) });
+
+        assert.deepEqual(diagnostics.map(d => [d.severity, d.code, d.path]), [
+            ['error', 'unknown-case', 'Nodes[2].Case'],
+            ['warning', 'unknown-endpoint', 'Edges[1]']
+        ]);
+        assert.equal(graph.exportJson().nodes.length, 2);
+        assert.equal(graph.exportJson().links.length, 1);
+    });
+
+    it('compares the neighborhoods of two nodes', () => {
+        const summaries = [];
+        graph = render(fullGraph, { onCompare: summary => summaries.push(summary) });
+
+        const summary = graph.compareNodes('movie-1', 'movie-2');
+        const ids = nodes => nodes.map(d => d.id);
+        assert.deepEqual(ids(summary.shared), ['collection-6', 'contributor-5']);
+        assert.deepEqual(ids(summary.onlyFirst), ['friend-4']);
+        assert.deepEqual(ids(summary.onlySecond), []);
+        assert.deepEqual(summary.counts, { onlyFirst: 1, onlySecond: 0, shared: 2 });
+        assert.deepEqual(summaries, [summary]);
+
+        graph.clearCompare();
+        assert.equal(graph.getCompare(), null);
+        assert.equal(summaries.at(-1), null);
+    });
+
+    it('restores a view state and reports changes to it', async () => {
+        const changes = [];
+        graph = render(fullGraph, {
+            viewState: 't10_20_1.5~fm1~sm1_f4~hp~pm2.30.40',
+            onViewStateChange: (viewState, change) => changes.push([viewState, change.push])
+        });
+
+        assert.deepEqual({ ...graph.getTransform() }, { x: 10, y: 20, k: 1.5 });
+        assert.deepEqual(graph.getSelection().map(d => d.id), ['movie-1', 'friend-4']);
+        assert.deepEqual(graph.getFilters().hiddenTypes, ['contributor']);
+        assert.deepEqual([graph.getNode('movie-2').fx, graph.getNode('movie-2').fy], [30, 40]);
+        assert.equal(graph.getViewState(), 't10_20_1.5~fm1~sm1_f4~hp~pm2.30.40');
+        assert.deepEqual(changes, []);
+
+        // Selection changes update the current entry, camera moves add one
+        graph.clearSelection();
+        graph.setViewState('t0_0_2~fm1~hp~pm2.30.40', { animate: false });
+        assert.deepEqual(changes, [['t10_20_1.5~fm1~hp~pm2.30.40', false]]);
+        assert.equal(changes.length, 1);
+
+        graph.focusOnNode('movie-2');
+        await new Promise(resolve => setTimeout(resolve, 700));
+        assert.equal(changes.length, 2);
+        assert.match(changes[1][0], /~fm2~/);
+        assert.equal(changes[1][1], true);
+    });
+
+    it('follows a changing projector color without restyling every node and link', async () => {
+        graph = render(fullGraph, { warmupTicks: 0 });
+        graph.setSelection(['movie-1']);
+
+        const container = document.getElementById('graph');
+        const recolored = new Set();
+        const observer = new MutationObserver(records => records.forEach(record => recolored.add(record.target)));
+        observer.observe(container, { subtree: true, attributes: true, attributeFilter: ['stroke', 'fill'] });
+
+        const root = document.documentElement.style;
+        [['r', 10], ['g', 200], ['b', 30]].forEach(([channel, value]) => root.setProperty(`--projector-${channel}`, value));
+        await new Promise(resolve => setTimeout(resolve, 150));
+        observer.disconnect();
+        ['r', 'g', 'b'].forEach(channel => root.removeProperty(`--projector-${channel}`));
+
+        const ring = container.querySelector('.node-selection');
+        assert.equal(ring.getAttribute('stroke'), 'rgb(10, 200, 30)');
+        assert.deepEqual([...recolored].map(element => element.getAttribute('class')).filter(name => name !== 'node-selection'), []);
+    });
+
+    it('logs diagnostics to the console without onDiagnostic', () => {
+        const warn = mock.method(console, 'warn', () => {});
+        graph = render({ Nodes: [movie, { Case: 'StudioNode', Fields: [] }], Edges: [] });
+
+        assert.equal(warn.mock.callCount(), 1);
+        assert.match(String(warn.mock.calls[0].arguments.join(' ')), /Nodes\[1\]\.Case/);
+    });
+
+    // Runs last: failed image URLs are remembered for every later graph
+    it('swaps failed images for the fallback on their own nodes without restyling the graph', async () => {
+        const failures = [];
+        const poster = { Case: 'MovieNode', Fields: [{ Fields: [21] }, 'Thief', '/thief.jpg'] };
+        const profile = { Case: 'ContributorNode', Fields: [{ Fields: [22] }, 'James Caan', '/caan.jpg', 'Acting'] };
+        graph = render({ Nodes: [poster, profile], Edges: [edge(profile, poster, relationships.Actor)] },
+            { warmupTicks: 0, onImageError: ({ url }) => failures.push(url) });
+
+        const container = document.getElementById('graph');
+        const restyled = [];
+        const observer = new MutationObserver(records => restyled.push(...records));
+        observer.observe(container.querySelector('g.links'), { subtree: true, attributes: true, attributeFilter: ['stroke'] });
+
+        container.querySelectorAll('image').forEach(image => image.dispatchEvent(new Event('error')));
+        await new Promise(resolve => setTimeout(resolve, 50));
+        observer.disconnect();
+
+        const element = id => [...container.querySelectorAll('g.nodes > g')].find(g => g.__data__.id === id);
+        assert.equal(container.querySelectorAll('image').length, 0);
+        assert.equal(element('contributor-22').querySelector('.node-initials').textContent, 'JC');
+        assert.match(element('movie-21').querySelector('.node-poster').getAttribute('fill'), /^url\(#/);
+        assert.deepEqual(failures, ['/images/posters/thief.jpg', '/images/profiles/caan.jpg']);
+        assert.deepEqual(restyled, []);
+    });
+});
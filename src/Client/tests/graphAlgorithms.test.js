@@ -0,0 +1,163 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    betweennessCentrality,
+    buildNeighborMap,
+    degreeCentrality,
+    detectCommunities,
+    kShortestPaths,
+    pageRank,
+    shortestPath
+} from '../graphAlgorithms.js';
+
+/** Links from 'a-b' pairs */
+const links = (...pairs) => pairs.map(pair => {
+    const [source, target] = pair.split('-');
+    return { source, target };
+});
+
+const path = { ids: ['a', 'b', 'c'], links: links('a-b', 'b-c') };
+const star = { ids: ['hub', 'x', 'y', 'z', 'w'], links: links('hub-x', 'hub-y', 'hub-z', 'hub-w') };
+
+describe('degreeCentrality', () => {
+    it('counts distinct neighbors, and zero for isolated nodes', () => {
+        const neighbors = buildNeighborMap([...star.links, ...links('hub-x')]);
+        const degree = degreeCentrality(neighbors, [...star.ids, 'alone']);
+
+        assert.deepEqual(Object.fromEntries(degree), { hub: 4, x: 1, y: 1, z: 1, w: 1, alone: 0 });
+    });
+});
+
+describe('betweennessCentrality', () => {
+    it('credits the middle of a path with the one path through it', () => {
+        const betweenness = betweennessCentrality(buildNeighborMap(path.links), path.ids);
+
+        assert.deepEqual(Object.fromEntries(betweenness), { a: 0, b: 1, c: 0 });
+    });
+
+    it('credits the hub of a star with every pair of leaves', () => {
+        const betweenness = betweennessCentrality(buildNeighborMap(star.links), star.ids);
+
+        assert.equal(betweenness.get('hub'), 6);
+        ['x', 'y', 'z', 'w'].forEach(id => assert.equal(betweenness.get(id), 0));
+    });
+
+    it('gives a disconnected node zero', () => {
+        const betweenness = betweennessCentrality(buildNeighborMap(path.links), [...path.ids, 'alone']);
+
+        assert.equal(betweenness.get('alone'), 0);
+        assert.equal(betweenness.get('b'), 1);
+    });
+});
+
+describe('pageRank', () => {
+    const sum = ranks => Array.from(ranks.values()).reduce((total, rank) => total + rank, 0);
+
+    it('ranks the hub of a star highest, with ranks summing to 1', () => {
+        const ranks = pageRank(buildNeighborMap(star.links), star.ids);
+
+        ['x', 'y', 'z', 'w'].forEach(id => assert.ok(ranks.get('hub') > ranks.get(id)));
+        assert.ok(Math.abs(sum(ranks) - 1) < 1e-6);
+    });
+
+    it('keeps a finite rank for a disconnected node', () => {
+        const ranks = pageRank(buildNeighborMap(star.links), [...star.ids, 'alone']);
+
+        ranks.forEach(rank => assert.ok(Number.isFinite(rank)));
+        assert.ok(ranks.get('alone') > 0);
+        assert.ok(Math.abs(sum(ranks) - 1) < 1e-6);
+    });
+
+    it('returns no ranks for an empty graph', () => {
+        assert.equal(pageRank(new Map(), []).size, 0);
+    });
+});
+
+describe('detectCommunities', () => {
+    it('splits two cliques joined by one bridge into two communities', () => {
+        const ids = ['a1', 'a2', 'a3', 'a4', 'b1', 'b2', 'b3', 'b4'];
+        const clique = prefix => links(
+            `${prefix}1-${prefix}2`, `${prefix}1-${prefix}3`, `${prefix}1-${prefix}4`,
+            `${prefix}2-${prefix}3`, `${prefix}2-${prefix}4`, `${prefix}3-${prefix}4`);
+        const communities = detectCommunities(ids, [...clique('a'), ...clique('b'), ...links('a1-b1')]);
+
+        assert.equal(new Set(communities.values()).size, 2);
+        ['a2', 'a3', 'a4'].forEach(id => assert.equal(communities.get(id), communities.get('a1')));
+        ['b2', 'b3', 'b4'].forEach(id => assert.equal(communities.get(id), communities.get('b1')));
+        assert.notEqual(communities.get('a1'), communities.get('b1'));
+    });
+
+    it('returns no communities for an empty graph', () => {
+        assert.equal(detectCommunities([], []).size, 0);
+    });
+
+    it('puts each isolated node in a community of its own', () => {
+        const communities = detectCommunities(['a', 'b', 'c', 'alone', 'apart'], links('a-b', 'b-c', 'a-c'));
+
+        assert.equal(communities.get('a'), communities.get('b'));
+        assert.equal(communities.get('a'), communities.get('c'));
+        assert.equal(communities.get('a'), 0, 'the largest community comes first');
+        assert.equal(new Set(communities.values()).size, 3);
+        assert.notEqual(communities.get('alone'), communities.get('apart'));
+    });
+
+    it('gives every node its own community without links', () => {
+        const communities = detectCommunities(['a', 'b', 'c'], []);
+
+        assert.deepEqual(Array.from(communities.values()).sort(), [0, 1, 2]);
+    });
+});
+
+describe('shortestPath', () => {
+    // Two 2-hop routes from a to d, a 3-hop detour, and a node on its own
+    const neighbors = buildNeighborMap(links('a-b', 'b-d', 'a-c', 'c-d', 'a-e', 'e-f', 'f-d', 'x-y'));
+
+    it('finds the path with the fewest hops', () => {
+        assert.equal(shortestPath(neighbors, 'a', 'd').length, 3);
+        assert.deepEqual(shortestPath(neighbors, 'e', 'd'), ['e', 'f', 'd']);
+    });
+
+    it('returns null for an unreachable target', () => {
+        assert.equal(shortestPath(neighbors, 'a', 'x'), null);
+        assert.equal(shortestPath(neighbors, 'a', 'missing'), null);
+        assert.equal(shortestPath(neighbors, 'missing', 'a'), null);
+    });
+
+    it('returns the node itself when source and target are the same', () => {
+        assert.deepEqual(shortestPath(neighbors, 'a', 'a'), ['a']);
+        assert.deepEqual(kShortestPaths(neighbors, 'a', 'a', 3), [['a']]);
+    });
+
+    it('avoids blocked nodes and edges', () => {
+        const path = shortestPath(neighbors, 'a', 'd', { nodes: new Set(['b', 'c']) });
+        assert.deepEqual(path, ['a', 'e', 'f', 'd']);
+        assert.equal(shortestPath(neighbors, 'x', 'y', { edges: new Set(['x|y']) }), null);
+    });
+});
+
+describe('kShortestPaths', () => {
+    const neighbors = buildNeighborMap(links('a-b', 'b-d', 'a-c', 'c-d', 'a-e', 'e-f', 'f-d', 'b-c', 'x-y'));
+
+    it('finds k distinct loop-free paths in non-decreasing length', () => {
+        const paths = kShortestPaths(neighbors, 'a', 'd', 4);
+
+        assert.equal(paths.length, 4);
+        assert.equal(new Set(paths.map(path => path.join('|'))).size, 4);
+        paths.forEach(path => {
+            assert.equal(path[0], 'a');
+            assert.equal(path.at(-1), 'd');
+            assert.equal(new Set(path).size, path.length, `${path.join('-')} repeats a node`);
+            path.slice(1).forEach((id, i) => assert.ok(neighbors.get(path[i]).has(id)));
+        });
+        paths.slice(1).forEach((path, i) => assert.ok(path.length >= paths[i].length));
+        assert.deepEqual(paths.map(path => path.length), [3, 3, 4, 4]);
+    });
+
+    it('stops when there are fewer than k paths', () => {
+        assert.deepEqual(kShortestPaths(neighbors, 'x', 'y', 3), [['x', 'y']]);
+    });
+
+    it('returns no paths for an unreachable target', () => {
+        assert.deepEqual(kShortestPaths(neighbors, 'a', 'x', 3), []);
+    });
+});
@@ -0,0 +1,109 @@
+import { describe, it, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { installDom } from './dom.js';
+import { palettes, readPalette, watchPalette } from '../graphPalette.js';
+
+describe('readPalette', () => {
+    let removeDom;
+    let element;
+
+    before(() => {
+        removeDom = installDom();
+    });
+
+    after(() => removeDom());
+
+    beforeEach(() => {
+        element = document.getElementById('graph');
+        element.removeAttribute('style');
+        mock.restoreAll();
+    });
+
+    it('uses the theme defaults without custom properties', () => {
+        const palette = readPalette(element);
+
+        assert.equal(palette.name, 'theme');
+        assert.equal(palette.nodes.movie, '#c9a227');
+        assert.equal(palette.links.Director, '#fbbf24');
+        assert.equal(palette.links.WatchedWith, '#ffffff');
+        assert.equal(palette.highlight, '#ffffff');
+    });
+
+    it('reads node, role and link colors from custom properties', () => {
+        element.style.setProperty('--graph-friend', '#00ff00');
+        element.style.setProperty('--graph-role-executive-producer', 'rgb(1, 2, 3)');
+        element.style.setProperty('--graph-link', '#cccccc');
+
+        const palette = readPalette(element);
+
+        assert.equal(palette.nodes.friend, '#00ff00');
+        assert.equal(palette.links.ExecutiveProducer, 'rgb(1, 2, 3)');
+        assert.equal(palette.links.InCollection, '#cccccc');
+        assert.equal(palette.links.Other, '#cccccc');
+    });
+
+    it('highlights with the projector color unless --graph-highlight is set', () => {
+        element.style.setProperty('--projector-r', '255');
+        element.style.setProperty('--projector-g', '107');
+        element.style.setProperty('--projector-b', '107');
+        assert.equal(readPalette(element).highlight, 'rgb(255, 107, 107)');
+
+        element.style.setProperty('--graph-highlight', 'gold');
+        assert.equal(readPalette(element).highlight, 'gold');
+    });
+
+    it('replaces categorical colors with a built-in palette', () => {
+        element.style.setProperty('--graph-movie', '#ff0000');
+        element.style.setProperty('--graph-label', 'black');
+
+        const palette = readPalette(element, 'okabe-ito');
+
+        assert.equal(palette.name, 'okabe-ito');
+        assert.deepEqual(palette.nodes, palettes['okabe-ito'].nodes);
+        assert.deepEqual(palette.communities, palettes['okabe-ito'].communities);
+        assert.equal(palette.label, 'black');
+    });
+
+    it('selects a built-in palette through --graph-palette', () => {
+        element.style.setProperty('--graph-palette', 'tol-bright');
+        assert.equal(readPalette(element).name, 'tol-bright');
+    });
+
+    it('falls back to the defaults for unknown palettes and invalid colors', () => {
+        mock.method(console, 'debug', () => {});
+
+        assert.equal(readPalette(element, 'sepia').name, 'theme');
+
+        const palette = readPalette(element, { nodes: { series: 'not a color' }, foreground: 'black' });
+        assert.equal(palette.name, 'custom');
+        assert.equal(palette.nodes.series, '#9333ea');
+        assert.equal(palette.foreground, 'black');
+    });
+});
+
+describe('watchPalette', () => {
+    let removeDom;
+
+    before(() => {
+        removeDom = installDom();
+    });
+
+    after(() => removeDom());
+
+    it('calls back once per burst of style changes, on the element or its ancestors', async () => {
+        const element = document.getElementById('graph');
+        let calls = 0;
+        const stop = watchPalette(element, () => calls++);
+
+        document.documentElement.style.setProperty('--projector-r', '10');
+        document.documentElement.style.setProperty('--projector-r', '20');
+        element.classList.add('theme-light');
+        await new Promise(resolve => setTimeout(resolve, 150));
+        assert.equal(calls, 1);
+
+        stop();
+        element.classList.remove('theme-light');
+        await new Promise(resolve => setTimeout(resolve, 150));
+        assert.equal(calls, 1);
+    });
+});
@@ -0,0 +1,219 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeGraph, decodeNode, decodeRelationship, contributorRoles } from '../graphPayload.js';
+import {
+    movie, movieWithoutPoster, series, friend, contributor, collection,
+    relationships, role, edge, fullGraph
+} from './fixtures/graphPayloads.js';
+
+/** Collect the diagnostics a decoder reports */
+function recorder() {
+    const diagnostics = [];
+    const report = (severity, code, path, message, value) => diagnostics.push({ severity, code, path, message, value });
+    return { diagnostics, report };
+}
+
+describe('decodeNode', () => {
+    it('decodes every GraphNode case', () => {
+        const { diagnostics, report } = recorder();
+
+        assert.deepEqual(decodeNode(movie, 'n', report),
+            { id: 'movie-1', type: 'movie', entryId: 1, name: 'Heat', posterPath: '/heat.jpg' });
+        assert.deepEqual(decodeNode(movieWithoutPoster, 'n', report),
+            { id: 'movie-2', type: 'movie', entryId: 2, name: 'Ronin', posterPath: null });
+        assert.deepEqual(decodeNode(series, 'n', report),
+            { id: 'series-3', type: 'series', entryId: 3, name: 'The Wire', posterPath: '/wire.jpg' });
+        assert.deepEqual(decodeNode(friend, 'n', report),
+            { id: 'friend-4', type: 'friend', friendId: 4, name: 'Alex Doe', avatarUrl: null });
+        assert.deepEqual(decodeNode(contributor, 'n', report),
+            { id: 'contributor-5', type: 'contributor', contributorId: 5, name: 'Michael Mann', profilePath: '/mann.jpg', knownFor: 'Directing' });
+        assert.deepEqual(decodeNode(collection, 'n', report),
+            { id: 'collection-6', type: 'collection', collectionId: 6, name: 'Crime Classics', coverImagePath: null });
+        assert.deepEqual(diagnostics, []);
+    });
+
+    it('accepts bare and Fable instance IDs', () => {
+        const { diagnostics, report } = recorder();
+
+        assert.equal(decodeNode({ Case: 'FriendNode', Fields: [7, 'Sam', null] }, 'n', report).id, 'friend-7');
+        assert.equal(decodeNode({ Case: 'FriendNode', Fields: [{ fields: [8] }, 'Kim', null] }, 'n', report).id, 'friend-8');
+        assert.deepEqual(diagnostics, []);
+    });
+
+    it('reports unknown cases', () => {
+        const { diagnostics, report } = recorder();
+
+        assert.equal(decodeNode({ Case: 'StudioNode', Fields: [{ Fields: [1] }, 'A24'] }, 'Nodes[0]', report), null);
+        assert.equal(diagnostics.length, 1);
+        assert.equal(diagnostics[0].severity, 'error');
+        assert.equal(diagnostics[0].code, 'unknown-case');
+        assert.equal(diagnostics[0].path, 'Nodes[0].Case');
+    });
+
+    it('rejects nodes with malformed required fields', () => {
+        const cases = [
+            [null, 'malformed-node', 'n'],
+            [{ Case: 'MovieNode', Fields: [{ Fields: [1] }, 'Heat'] }, 'malformed-field', 'n.Fields'],
+            [{ Case: 'MovieNode', Fields: [{ Fields: ['1'] }, 'Heat', null] }, 'malformed-field', 'n.Fields[0]'],
+            [{ Case: 'MovieNode', Fields: [{ Fields: [1] }, 42, null] }, 'malformed-field', 'n.Fields[1]']
+        ];
+
+        cases.forEach(([value, code, path]) => {
+            const { diagnostics, report } = recorder();
+            assert.equal(decodeNode(value, 'n', report), null);
+            assert.deepEqual(diagnostics.map(d => [d.severity, d.code, d.path]), [['error', code, path]]);
+        });
+    });
+
+    it('keeps nodes with malformed optional fields or extra fields, with a warning', () => {
+        const { diagnostics, report } = recorder();
+
+        const node = decodeNode({ Case: 'ContributorNode', Fields: [{ Fields: [5] }, 'Mann', 17, 'Directing', 'extra'] }, 'n', report);
+        assert.equal(node.profilePath, null);
+        assert.equal(node.knownFor, 'Directing');
+        assert.deepEqual(diagnostics.map(d => [d.severity, d.code, d.path]), [
+            ['warning', 'unexpected-field', 'n.Fields'],
+            ['warning', 'malformed-field', 'n.Fields[2]']
+        ]);
+    });
+});
+
+describe('decodeRelationship', () => {
+    it('decodes relationships without payload', () => {
+        const { diagnostics, report } = recorder();
+
+        assert.deepEqual(decodeRelationship(relationships.WatchedWith, 'r', report), { relationship: 'WatchedWith' });
+        assert.deepEqual(decodeRelationship(relationships.BelongsToCollection, 'r', report), { relationship: 'BelongsToCollection' });
+        assert.deepEqual(diagnostics, []);
+    });
+
+    it('decodes InCollection with its collection ID', () => {
+        const { diagnostics, report } = recorder();
+
+        assert.deepEqual(decodeRelationship(relationships.InCollection, 'r', report), { relationship: 'InCollection', collectionId: 6 });
+        assert.deepEqual(decodeRelationship({ Case: 'InCollection', Fields: [{ Fields: [9] }] }, 'r', report),
+            { relationship: 'InCollection', collectionId: 9 });
+        assert.deepEqual(diagnostics, []);
+    });
+
+    it('decodes WorkedOn with every ContributorRole', () => {
+        const { diagnostics, report } = recorder();
+
+        contributorRoles.forEach((name, tag) => {
+            const detail = decodeRelationship({ Case: 'WorkedOn', Fields: [role(tag)] }, 'r', report);
+            assert.equal(detail.relationship, 'WorkedOn');
+            assert.equal(detail.role, name);
+        });
+        assert.deepEqual(diagnostics, []);
+    });
+
+    it('keeps the character of actors and the department of other roles', () => {
+        const { diagnostics, report } = recorder();
+
+        assert.deepEqual(decodeRelationship(relationships.Actor, 'r', report),
+            { relationship: 'WorkedOn', role: 'Actor', character: 'Neil McCauley', department: null });
+        assert.deepEqual(decodeRelationship(relationships.ActorWithoutCharacter, 'r', report),
+            { relationship: 'WorkedOn', role: 'Actor', character: null, department: null });
+        assert.deepEqual(decodeRelationship(relationships.Other, 'r', report),
+            { relationship: 'WorkedOn', role: 'Other', character: null, department: 'Sound' });
+        assert.deepEqual(decodeRelationship(relationships.RoleAsJson, 'r', report),
+            { relationship: 'WorkedOn', role: 'Actor', character: 'Vincent Hanna', department: null });
+        assert.deepEqual(diagnostics, []);
+    });
+
+    it('reports unknown relationships and roles', () => {
+        const { diagnostics, report } = recorder();
+
+        assert.equal(decodeRelationship({ Case: 'Follows' }, 'r', report), null);
+        assert.deepEqual(decodeRelationship({ Case: 'WorkedOn', Fields: [role(42)] }, 'r', report),
+            { relationship: 'WorkedOn', role: null, character: null, department: null });
+        assert.deepEqual(diagnostics.map(d => [d.severity, d.code, d.path]), [
+            ['error', 'unknown-case', 'r.Case'],
+            ['warning', 'unknown-case', 'r.Fields[0]']
+        ]);
+    });
+
+    it('keeps InCollection edges with a malformed collection ID, with a warning', () => {
+        const { diagnostics, report } = recorder();
+
+        assert.deepEqual(decodeRelationship({ Case: 'InCollection', Fields: ['six'] }, 'r', report),
+            { relationship: 'InCollection', collectionId: null });
+        assert.deepEqual(diagnostics.map(d => [d.severity, d.code]), [['warning', 'malformed-field']]);
+    });
+});
+
+describe('decodeGraph', () => {
+    it('decodes a graph with every node case and relationship', () => {
+        const { nodes, edges, diagnostics } = decodeGraph(fullGraph);
+
+        assert.deepEqual(nodes.map(d => d.id),
+            ['movie-1', 'movie-2', 'series-3', 'friend-4', 'contributor-5', 'collection-6']);
+        assert.deepEqual(edges.map(e => [e.source, e.target, e.detail.relationship, e.detail.role ?? null]), [
+            ['movie-1', 'friend-4', 'WatchedWith', null],
+            ['series-3', 'friend-4', 'WatchedWith', null],
+            ['contributor-5', 'movie-1', 'WorkedOn', 'Director'],
+            ['contributor-5', 'movie-1', 'WorkedOn', 'Writer'],
+            ['contributor-5', 'movie-2', 'WorkedOn', 'Actor'],
+            ['contributor-5', 'series-3', 'WorkedOn', 'Other'],
+            ['movie-1', 'collection-6', 'InCollection', null],
+            ['collection-6', 'movie-2', 'BelongsToCollection', null]
+        ]);
+        assert.deepEqual(diagnostics, []);
+    });
+
+    it('reports diagnostics through the callback and drops what cannot be decoded', () => {
+        const reported = [];
+        const { nodes, edges, diagnostics } = decodeGraph({
+            Nodes: [movie, { Case: 'StudioNode', Fields: [] }, friend, movie],
+            Edges: [
+                edge(movie, friend, relationships.WatchedWith),
+                edge(movie, series, relationships.WatchedWith),
+                edge(movie, friend, { Case: 'Follows' }),
+                'not an edge'
+            ]
+        }, { onDiagnostic: d => reported.push(d) });
+
+        assert.deepEqual(nodes.map(d => d.id), ['movie-1', 'friend-4']);
+        assert.equal(edges.length, 1);
+        assert.deepEqual(diagnostics.map(d => [d.code, d.path]), [
+            ['unknown-case', 'Nodes[1].Case'],
+            ['duplicate-node', 'Nodes[3]'],
+            ['unknown-endpoint', 'Edges[1]'],
+            ['unknown-case', 'Edges[2].Relationship.Case'],
+            ['malformed-edge', 'Edges[3]']
+        ]);
+        assert.deepEqual(reported, diagnostics);
+    });
+
+    it('resolves endpoints against known node IDs', () => {
+        const { nodes, edges, diagnostics } = decodeGraph(
+            { Nodes: [series], Edges: [edge(contributor, series, relationships.CreatedBy)] },
+            { knownIds: ['contributor-5'] });
+
+        assert.deepEqual(nodes.map(d => d.id), ['series-3']);
+        assert.deepEqual(edges.map(e => [e.source, e.target]), [['contributor-5', 'series-3']]);
+        assert.deepEqual(diagnostics, []);
+    });
+
+    it('reports a malformed payload', () => {
+        assert.deepEqual(decodeGraph(null).diagnostics.map(d => d.code), ['malformed-payload']);
+        assert.deepEqual(decodeGraph({ Nodes: {} }).diagnostics.map(d => [d.code, d.path]), [
+            ['malformed-payload', 'Nodes'],
+            ['malformed-payload', 'Edges']
+        ]);
+    });
+
+    it('decodes large graphs in linear time', () => {
+        const size = 20000;
+        const movies = Array.from({ length: size }, (_, i) => ({ Case: 'MovieNode', Fields: [{ Fields: [i] }, `Movie ${i}`, null] }));
+        const payload = {
+            Nodes: [friend, ...movies],
+            Edges: movies.map(m => edge(m, friend, relationships.WatchedWith))
+        };
+
+        const start = performance.now();
+        const { edges } = decodeGraph(payload);
+        assert.equal(edges.length, size);
+        assert.ok(performance.now() - start < 1000);
+    });
+});
@@ -0,0 +1,57 @@
+import { describe, it, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeViewState, emptyViewState, encodeViewState } from '../graphViewState.js';
+
+describe('encodeViewState', () => {
+    const state = {
+        transform: { x: -120.4, y: 40.2, k: 1.23456 },
+        focus: 'movie-12',
+        selection: ['movie-12', 'friend-3'],
+        hiddenTypes: ['contributor', 'collection'],
+        pinned: { 'movie-12': { x: 10.2, y: -19.7 }, 'friend-3': { x: 0, y: 5 } }
+    };
+
+    it('writes a compact URL-safe string', () => {
+        const text = encodeViewState(state);
+        assert.equal(text, 't-120_40_1.235~fm12~sm12_f3~hpc~pm12.10.-20_f3.0.5');
+        assert.equal(encodeURIComponent(text), text);
+    });
+
+    it('round-trips through decodeViewState, rounded to whole pixels', () => {
+        assert.deepEqual(decodeViewState(encodeViewState(state)), {
+            transform: { x: -120, y: 40, k: 1.235 },
+            focus: 'movie-12',
+            selection: ['movie-12', 'friend-3'],
+            hiddenTypes: ['contributor', 'collection'],
+            pinned: { 'movie-12': { x: 10, y: -20 }, 'friend-3': { x: 0, y: 5 } }
+        });
+    });
+
+    it('leaves out empty parts and node IDs it cannot shorten', () => {
+        assert.equal(encodeViewState(emptyViewState()), '');
+        assert.equal(encodeViewState({ selection: ['studio-1', 'series-4'] }), 'ss4');
+    });
+});
+
+describe('decodeViewState', () => {
+    beforeEach(() => {
+        mock.restoreAll();
+    });
+
+    it('reads an empty or missing string as the empty state', () => {
+        assert.deepEqual(decodeViewState(''), emptyViewState());
+        assert.deepEqual(decodeViewState(null), emptyViewState());
+    });
+
+    it('skips malformed sections and keeps the rest', () => {
+        const debug = mock.method(console, 'debug', () => {});
+        const state = decodeViewState('t1_2~fx9~sm1_c2~hmq~pm1.3~z1');
+
+        assert.equal(state.transform, null);
+        assert.equal(state.focus, null);
+        assert.deepEqual(state.selection, ['movie-1', 'collection-2']);
+        assert.deepEqual(state.hiddenTypes, ['movie']);
+        assert.deepEqual(state.pinned, {});
+        assert.equal(debug.mock.callCount(), 5);
+    });
+});
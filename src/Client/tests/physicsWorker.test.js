@@ -0,0 +1,42 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+describe('physicsWorker', () => {
+    const replies = [];
+    const send = data => self.onmessage({ data });
+
+    before(async () => {
+        globalThis.self = { postMessage: message => replies.push(message) };
+        await import('../physicsWorker.js');
+    });
+
+    after(() => delete globalThis.self);
+
+    it('keeps pinned nodes in place while warming up', () => {
+        // Node 0 starts at the origin but is pinned at (200, 0); node 1 is linked to it
+        const fixed = Float64Array.of(200, 0, NaN, NaN);
+        send({
+            type: 'configure',
+            state: Float64Array.of(0, 0, 0, 0, 0, 10, 0, 0),
+            fixed,
+            forces: [{
+                name: 'link',
+                type: 'link',
+                links: [[0, 1]],
+                distance: Float64Array.of(30),
+                strength: Float64Array.of(0.5),
+                iterations: 1
+            }],
+            parameters: { alpha: 1, alphaTarget: 0, alphaMin: 0.001, alphaDecay: 0.0228, velocityDecay: 0.4 },
+            warmupTicks: 120
+        });
+        send({ type: 'step', fixed });
+
+        const { state } = replies.at(-1);
+        assert.deepEqual([state[0], state[1]], [200, 0]);
+
+        // The linked node settled around the pinned position, not around where the node started
+        const distance = Math.hypot(state[4] - 200, state[5]);
+        assert.ok(Math.abs(distance - 30) < 5, `linked node is ${distance} away from the pinned node`);
+    });
+});
@@ -0,0 +1,101 @@
+import { describe, it, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import * as d3 from 'd3';
+import { createWorkerSimulation } from '../workerSimulation.js';
+
+/** Stand-in for the physics worker that records what it is sent */
+class FakeWorker {
+    static instances = [];
+
+    constructor() {
+        this.messages = [];
+        this.terminated = false;
+        FakeWorker.instances.push(this);
+    }
+
+    postMessage(message) {
+        this.messages.push(message);
+    }
+
+    terminate() {
+        this.terminated = true;
+    }
+}
+
+const globals = {
+    Worker: FakeWorker,
+    requestAnimationFrame: callback => setTimeout(callback, 0),
+    cancelAnimationFrame: id => clearTimeout(id)
+};
+
+/** Wait for the first animation frame, when the simulation starts */
+const nextFrame = () => new Promise(resolve => setTimeout(resolve, 5));
+
+describe('createWorkerSimulation', () => {
+    let simulation;
+
+    before(() => Object.assign(globalThis, globals));
+
+    after(() => Object.keys(globals).forEach(key => delete globalThis[key]));
+
+    beforeEach(() => {
+        FakeWorker.instances = [];
+        mock.method(console, 'debug', () => {});
+    });
+
+    afterEach(() => {
+        simulation?.terminate();
+        simulation = null;
+        mock.restoreAll();
+    });
+
+    const nodes = () => [{ id: 'a', x: 0, y: 0 }, { id: 'b', x: 10, y: 0 }, { id: 'c', x: 0, y: 10 }];
+
+    it('sends built-in forces to the worker', async () => {
+        simulation = createWorkerSimulation(d3.forceSimulation(nodes()))
+            .force('link', d3.forceLink([{ source: 'a', target: 'b' }]).id(d => d.id))
+            .force('charge', d3.forceManyBody())
+            .force('center', d3.forceCenter(0, 0));
+        await nextFrame();
+
+        const [worker] = FakeWorker.instances;
+        const [configure, step] = worker.messages;
+        assert.equal(worker.terminated, false);
+        assert.equal(configure.type, 'configure');
+        assert.deepEqual(configure.forces.map(force => force.type), ['link', 'manyBody', 'center']);
+        assert.equal(step.type, 'step');
+    });
+
+    it('sends fixed positions with the configuration, before any warmup ticks', async () => {
+        const pinned = nodes();
+        pinned[1].fx = 40;
+        pinned[1].fy = -20;
+        simulation = createWorkerSimulation(d3.forceSimulation(pinned), { warmupTicks: 120 })
+            .force('charge', d3.forceManyBody());
+        await nextFrame();
+
+        const [configure] = FakeWorker.instances[0].messages;
+        assert.equal(configure.warmupTicks, 120);
+        assert.deepEqual(Array.from(configure.fixed), [NaN, NaN, 40, -20, NaN, NaN]);
+    });
+
+    it('falls back to the main thread when a force cannot run in the worker', async () => {
+        const custom = alpha => custom.nodes.forEach(d => { d.vx += alpha; });
+        custom.initialize = nodes => { custom.nodes = nodes; };
+
+        simulation = createWorkerSimulation(d3.forceSimulation(nodes()), { warmupTicks: 5 })
+            .force('charge', d3.forceManyBody())
+            .force('custom', custom);
+        const ticked = new Promise(resolve => simulation.on('tick', resolve));
+        await nextFrame();
+
+        const [worker] = FakeWorker.instances;
+        assert.equal(worker.terminated, true);
+        assert.deepEqual(worker.messages, []);
+        assert.ok(console.debug.mock.calls.some(call => call.arguments.includes('custom')));
+
+        // Warmup ticks run on the main thread, then its timer drives the simulation
+        assert.ok(simulation.nodes().every(d => d.vx !== 0));
+        await ticked;
+    });
+});
@@ -0,0 +1,329 @@
+/**
+ * Off-thread physics for the relationship graph
+ * Wraps a d3 force simulation so its ticks run in physicsWorker.js while the main thread keeps the same API
+ */
+import * as d3 from 'd3';
+
+/**
+ * Move a d3 force simulation's physics into a Web Worker. The returned object behaves like the
+ * simulation (nodes, force, alpha, restart, stop, on, ...): forces are added through it and configured
+ * as usual, and each restart sends their current values to the worker. While running, the main thread
+ * requests one step per animation frame and copies the streamed positions onto its nodes, so fx/fy set
+ * by dragging or pinning take effect on the next step.
+ * Without Worker support, if the worker fails, or if a force has no worker counterpart (see describeForces),
+ * the wrapped simulation runs on the main thread instead.
+ * @param {Object} simulation - d3 force simulation holding the nodes; add its forces through the returned object
+ * @param {Object} [options]
+ * @param {boolean} [options.worker=true] - Use a worker; false keeps the physics on the main thread
+ * @param {number} [options.warmupTicks=0] - Ticks to run in the worker before the first position update
+ * @returns {Object} Simulation-like object
+ */
+export function createWorkerSimulation(simulation, { worker = true, warmupTicks = 0 } = {}) {
+    simulation.stop();
+
+    const events = d3.dispatch('tick', 'end');
+    const state = {
+        worker: worker ? createWorker() : null,
+        alpha: simulation.alpha(),
+        running: false,
+        dirty: true,        // Forces or parameters changed since the worker was last configured
+        pending: null,      // Nodes of the step the worker is computing
+        frame: null,
+        forceNames: new Set(),
+        warmupTicks
+    };
+
+    // Starting on the next frame lets forces be added after creation, as with d3.forceSimulation
+    const schedule = () => {
+        if (state.frame !== null) return;
+        state.frame = requestAnimationFrame(() => {
+            state.frame = null;
+            if (state.worker) {
+                requestStep(simulation, state, fallBackToMainThread);
+            } else if (state.running) {
+                if (state.warmupTicks > 0) simulation.tick(state.warmupTicks);
+                state.warmupTicks = 0;
+                simulation.restart();
+            }
+        });
+    };
+
+    const proxy = {
+        nodes(nodes) {
+            if (!arguments.length) return simulation.nodes();
+            simulation.nodes(nodes);
+            state.dirty = true;
+            return proxy;
+        },
+        force(name, force) {
+            if (arguments.length < 2) return simulation.force(name);
+            simulation.force(name, force);
+            state.forceNames.add(name);
+            state.dirty = true;
+            return proxy;
+        },
+        find: (...args) => simulation.find(...args),
+        on(name, listener) {
+            if (arguments.length < 2) return events.on(name);
+            events.on(name, listener);
+            return proxy;
+        },
+        alpha(value) {
+            if (!arguments.length) return state.worker ? state.alpha : simulation.alpha();
+            state.alpha = value;
+            simulation.alpha(value);
+            state.dirty = true;
+            return proxy;
+        },
+        restart() {
+            state.running = true;
+            state.dirty = true;
+            if (state.worker || state.warmupTicks > 0) {
+                schedule();
+            } else {
+                simulation.restart();
+            }
+            return proxy;
+        },
+        stop() {
+            state.running = false;
+            simulation.stop();
+            if (state.frame !== null) {
+                cancelAnimationFrame(state.frame);
+                state.frame = null;
+            }
+            return proxy;
+        },
+        tick(iterations) {
+            simulation.tick(iterations);
+            state.alpha = simulation.alpha();
+            state.dirty = true;
+            return proxy;
+        },
+
+        /** Stop for good and shut the worker down */
+        terminate() {
+            proxy.stop();
+            state.worker?.terminate();
+            state.worker = null;
+        }
+    };
+
+    // Parameters are mirrored onto the wrapped simulation and sent with the next configuration
+    ['alphaTarget', 'alphaMin', 'alphaDecay', 'velocityDecay'].forEach(parameter => {
+        proxy[parameter] = function(value) {
+            if (!arguments.length) return simulation[parameter]();
+            simulation[parameter](value);
+            state.dirty = true;
+            return proxy;
+        };
+    });
+
+    // On the main thread the wrapped simulation's own timer drives the ticks
+    const runOnMainThread = () => {
+        state.worker = null;
+        state.pending = null;
+        simulation
+            .on('tick.worker', () => events.call('tick', proxy))
+            .on('end.worker', () => {
+                state.running = false;
+                events.call('end', proxy);
+            });
+    };
+
+    // Hand an already running simulation over from the worker, picking up where it left off
+    const fallBackToMainThread = () => {
+        state.worker.terminate();
+        runOnMainThread();
+        if (!state.running) return;
+        simulation.alpha(state.alpha);
+        if (state.warmupTicks > 0) simulation.tick(state.warmupTicks);
+        state.warmupTicks = 0;
+        simulation.restart();
+    };
+
+    if (state.worker) {
+        state.worker.onmessage = ({ data }) => {
+            const nodes = state.pending;
+            state.pending = null;
+            if (!state.running || data.type !== 'tick') return;
+
+            nodes.forEach((d, i) => {
+                d.x = data.state[i * 4];
+                d.y = data.state[i * 4 + 1];
+                d.vx = data.state[i * 4 + 2];
+                d.vy = data.state[i * 4 + 3];
+            });
+            state.alpha = data.alpha;
+            simulation.alpha(data.alpha);
+            events.call('tick', proxy);
+
+            if (data.ended && !state.dirty) {
+                state.running = false;
+                events.call('end', proxy);
+            } else {
+                schedule();
+            }
+        };
+
+        // Keep the graph moving on the main thread rather than freezing it
+        state.worker.onerror = (error) => {
+            console.debug('Physics worker failed, simulating on the main thread:', error.message);
+            error.preventDefault?.();
+            fallBackToMainThread();
+        };
+    } else {
+        runOnMainThread();
+    }
+
+    proxy.restart();
+
+    return proxy;
+}
+
+/**
+ * Start the physics worker, or return null where workers are unavailable
+ */
+function createWorker() {
+    if (typeof Worker === 'undefined') return null;
+
+    try {
+        return new Worker(new URL('./physicsWorker.js', import.meta.url), { type: 'module' });
+    } catch (error) {
+        console.debug('Could not start the physics worker:', error);
+        return null;
+    }
+}
+
+/**
+ * Ask the worker for the next tick, first sending the configuration if it changed.
+ * Only one step is in flight at a time, so positions never arrive for a stale node list.
+ * Calls onUnsupported instead if a force cannot be sent to the worker.
+ */
+function requestStep(simulation, state, onUnsupported) {
+    if (!state.worker || !state.running || state.pending) return;
+
+    const nodes = simulation.nodes();
+
+    if (state.dirty) {
+        const forces = describeForces(simulation, state.forceNames);
+        if (!forces) {
+            onUnsupported();
+            return;
+        }
+
+        state.dirty = false;
+        state.worker.postMessage({
+            type: 'configure',
+            state: nodeState(nodes),
+            fixed: fixedPositions(nodes),
+            forces,
+            parameters: {
+                alpha: state.alpha,
+                alphaTarget: simulation.alphaTarget(),
+                alphaMin: simulation.alphaMin(),
+                alphaDecay: simulation.alphaDecay(),
+                velocityDecay: simulation.velocityDecay()
+            },
+            warmupTicks: state.warmupTicks
+        });
+        state.warmupTicks = 0;
+    }
+
+    const fixed = fixedPositions(nodes);
+    state.pending = nodes;
+    state.worker.postMessage({ type: 'step', fixed }, [fixed.buffer]);
+}
+
+/**
+ * Positions and velocities of the nodes, four numbers per node
+ */
+function nodeState(nodes) {
+    const values = new Float64Array(nodes.length * 4);
+    nodes.forEach((d, i) => {
+        values[i * 4] = d.x;
+        values[i * 4 + 1] = d.y;
+        values[i * 4 + 2] = d.vx ?? 0;
+        values[i * 4 + 3] = d.vy ?? 0;
+    });
+    return values;
+}
+
+/**
+ * Fixed positions (fx, fy) of the nodes, two numbers per node; NaN where a coordinate is free
+ */
+function fixedPositions(nodes) {
+    const values = new Float64Array(nodes.length * 2);
+    nodes.forEach((d, i) => {
+        values[i * 2] = d.fx ?? NaN;
+        values[i * 2 + 1] = d.fy ?? NaN;
+    });
+    return values;
+}
+
+/**
+ * Describe the simulation's forces as plain data the worker can rebuild: accessors are evaluated
+ * per node (or per link) on the main thread, since functions cannot cross the worker boundary.
+ * Returns null if any force is not one of d3's built-in forces, as the worker could not reproduce it.
+ */
+function describeForces(simulation, names) {
+    const nodes = simulation.nodes();
+    const perNode = accessor => Float64Array.from(nodes, (d, i) => accessor(d, i, nodes));
+    const forces = [];
+
+    // d3 forces carry no type, so they are recognized by their accessors
+    for (const name of names) {
+        const force = simulation.force(name);
+        if (!force) continue;
+
+        if (force.links) {
+            const links = force.links();
+            const perLink = accessor => Float64Array.from(links, (l, i) => accessor(l, i, links));
+            forces.push({
+                name,
+                type: 'link',
+                links: links.map(l => [l.source.index, l.target.index]),
+                distance: perLink(force.distance()),
+                strength: perLink(force.strength()),
+                iterations: force.iterations()
+            });
+        } else if (force.theta) {
+            forces.push({
+                name,
+                type: 'manyBody',
+                strength: perNode(force.strength()),
+                theta: force.theta(),
+                distanceMin: force.distanceMin(),
+                distanceMax: force.distanceMax()
+            });
+        } else if (force.iterations) {
+            forces.push({
+                name,
+                type: 'collide',
+                radius: perNode(force.radius()),
+                strength: force.strength(),
+                iterations: force.iterations()
+            });
+        } else if (force.radius) {
+            forces.push({
+                name,
+                type: 'radial',
+                radius: perNode(force.radius()),
+                strength: perNode(force.strength()),
+                x: force.x(),
+                y: force.y()
+            });
+        } else if (force.x && force.y) {
+            forces.push({ name, type: 'center', x: force.x(), y: force.y(), strength: force.strength() });
+        } else if (force.x) {
+            forces.push({ name, type: 'x', x: perNode(force.x()), strength: perNode(force.strength()) });
+        } else if (force.y) {
+            forces.push({ name, type: 'y', y: perNode(force.y()), strength: perNode(force.strength()) });
+        } else {
+            console.debug('Force cannot run in the physics worker, simulating on the main thread:', name);
+            return null;
+        }
+    }
+
+    return forces;
+}